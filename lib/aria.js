@@ -0,0 +1,431 @@
+/**
+ * Accessibility (ARIA) helpers.
+ * 
+ * Includes functions for determining the role and accessible name
+ * of elements, as used by the `findByRole()` and related functions
+ * in the `query` module.
+ * 
+ * The algorithms used here are _simplified_ versions of the ones
+ * from the WAI-ARIA and Accessible Name Computation specifications.
+ * They should be good enough for most use cases (like testing),
+ * but they are not a full implementation of the specs.
+ * 
+ * @module @lumjs/web-core/aria
+ */
+"use strict";
+
+const core = require('@lumjs/core');
+const {S,F} = core.types;
+
+const {isVisible} = require('./ui');
+const {cssEscape} = require('./utils');
+
+// Private: is an element inside one of the sectioning elements?
+const inSection = (el) => (el.parentElement?.closest(
+  'article,aside,main,nav,section,[role=article],[role=complementary],'
+  + '[role=main],[role=navigation],[role=region]') ?? null) !== null;
+
+// Private: input types that are text boxes (or combo boxes with a list).
+const TEXT_INPUTS = ['', 'text', 'email', 'tel', 'url'];
+
+/**
+ * A table of HTML tag names and their implicit ARIA roles.
+ * 
+ * The values are either a `string` role name, or a `function` which
+ * will be passed the element and must return the role name (or `null`
+ * if the element has no implicit role).
+ * 
+ * Tags not in this table have no implicit role. This is a plain object,
+ * so entries may be added or modified as needed.
+ * 
+ * @alias module:@lumjs/web-core/aria.IMPLICIT_ROLES
+ * @type {object}
+ */
+const IMPLICIT_ROLES =
+{
+  a: el => (el.hasAttribute('href') ? 'link' : null),
+  area: el => (el.hasAttribute('href') ? 'link' : null),
+  article: 'article',
+  aside: 'complementary',
+  blockquote: 'blockquote',
+  button: 'button',
+  caption: 'caption',
+  code: 'code',
+  datalist: 'listbox',
+  dd: 'definition',
+  del: 'deletion',
+  details: 'group',
+  dfn: 'term',
+  dialog: 'dialog',
+  dt: 'term',
+  em: 'emphasis',
+  fieldset: 'group',
+  figure: 'figure',
+  footer: el => (inSection(el) ? null : 'contentinfo'),
+  form: 'form',
+  h1: 'heading', h2: 'heading', h3: 'heading',
+  h4: 'heading', h5: 'heading', h6: 'heading',
+  header: el => (inSection(el) ? null : 'banner'),
+  hr: 'separator',
+  img: el => (el.getAttribute('alt') === '' ? 'presentation' : 'img'),
+  input: el =>
+  {
+    const type = (el.getAttribute('type') ?? '').toLowerCase();
+    switch (type)
+    {
+      case 'button': case 'image': case 'reset': case 'submit':
+        return 'button';
+      case 'checkbox': return 'checkbox';
+      case 'radio': return 'radio';
+      case 'range': return 'slider';
+      case 'number': return 'spinbutton';
+      case 'hidden': return null;
+      case 'search':
+        return (el.hasAttribute('list') ? 'combobox' : 'searchbox');
+      default:
+        if (TEXT_INPUTS.includes(type) || !el.hasAttribute('type'))
+        {
+          return (el.hasAttribute('list') ? 'combobox' : 'textbox');
+        }
+        return null;
+    }
+  },
+  ins: 'insertion',
+  li: 'listitem',
+  main: 'main',
+  math: 'math',
+  menu: 'list',
+  meter: 'meter',
+  nav: 'navigation',
+  ol: 'list',
+  optgroup: 'group',
+  option: 'option',
+  output: 'status',
+  p: 'paragraph',
+  progress: 'progressbar',
+  search: 'search',
+  section: 'region',
+  select: el => ((el.multiple || el.size > 1) ? 'listbox' : 'combobox'),
+  strong: 'strong',
+  sub: 'subscript',
+  sup: 'superscript',
+  table: 'table',
+  tbody: 'rowgroup',
+  td: el => (el.closest('table')?.getAttribute('role') === 'grid'
+    ? 'gridcell' : 'cell'),
+  textarea: 'textbox',
+  tfoot: 'rowgroup',
+  th: el => (el.getAttribute('scope') === 'row' ? 'rowheader'
+    : 'columnheader'),
+  thead: 'rowgroup',
+  time: 'time',
+  tr: 'row',
+  ul: 'list',
+}
+
+/**
+ * Roles that allow their accessible name to be computed from content.
+ * @alias module:@lumjs/web-core/aria.NAME_FROM_CONTENT
+ * @type {Set}
+ */
+const NAME_FROM_CONTENT = new Set(
+[
+  'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading',
+  'link', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option',
+  'radio', 'row', 'rowheader', 'sectionhead', 'switch', 'tab', 'tooltip',
+  'treeitem',
+]);
+
+/**
+ * Get the ARIA role of an element.
+ * 
+ * @param {Element} elem - The element.
+ * @param {object} [opts] Options
+ * @param {boolean} [opts.implicit=true] Use the implicit role?
+ * 
+ * If `false` only an explicit `role` attribute will be used.
+ * 
+ * @returns {?string} The role name, or `null` if it has no role.
+ * 
+ * If the `role` attribute has multiple (space separated) roles,
+ * only the first one is returned.
+ * 
+ * @alias module:@lumjs/web-core/aria.getRole
+ */
+function getRole(elem, opts={})
+{
+  const explicit = (elem.getAttribute('role') ?? '').trim();
+  if (explicit)
+  {
+    return explicit.split(/\s+/)[0].toLowerCase();
+  }
+
+  if (opts.implicit ?? true)
+  {
+    const implicit = IMPLICIT_ROLES[elem.localName];
+    if (typeof implicit === F)
+    {
+      return implicit(elem);
+    }
+    else if (typeof implicit === S)
+    {
+      return implicit;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Is an element hidden from assistive technologies?
+ * 
+ * An element is considered inaccessible if it or any of its ancestors
+ * have `aria-hidden="true"`, or if it is not visible according to
+ * `ui.isVisible()` (which uses `ui.opacityOf()`).
+ * 
+ * @param {Element} elem - The element.
+ * @returns {boolean}
+ * @alias module:@lumjs/web-core/aria.isInaccessible
+ */
+function isInaccessible(elem)
+{
+  return (elem.closest('[aria-hidden="true"]') !== null || !isVisible(elem));
+}
+
+/**
+ * Normalize whitespace in a string.
+ * 
+ * Trims leading and trailing whitespace, and collapses any other
+ * whitespace sequences into a single space.
+ * 
+ * @param {string} text - The text to normalize.
+ * @returns {string}
+ * @alias module:@lumjs/web-core/aria.normalize
+ */
+const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+
+// Private: get an element by id in the same tree as another node.
+function getById(node, id)
+{
+  const root = node.getRootNode();
+  return (typeof root.getElementById === F)
+    ? root.getElementById(id)
+    : root.querySelector('#' + cssEscape(id));
+}
+
+/**
+ * Get the accessible name of an element.
+ * 
+ * The following sources are used (in order):
+ * 
+ * 1. The text of any elements referenced by `aria-labelledby`.
+ * 2. The `aria-label` attribute.
+ * 3. Native sources depending on the element:
+ *    - Form controls use their `<label>` elements (either with a
+ *      `for` attribute, or wrapped around the control).
+ *    - Button-type inputs use their `value` (or a default name).
+ *    - Images (including image inputs) and areas use their `alt` text.
+ *    - `<fieldset>` uses its `<legend>`, `<figure>` its `<figcaption>`,
+ *      `<table>` its `<caption>`, and `<svg>` its `<title>`.
+ * 4. The text content, for roles that allow it
+ *    (see `NAME_FROM_CONTENT`).
+ * 5. The `title` attribute, or the `placeholder` attribute.
+ * 
+ * @param {Element} elem - The element.
+ * @returns {string} The accessible name (with normalized whitespace);
+ * will be an empty string if the element has no accessible name.
+ * @alias module:@lumjs/web-core/aria.getAccessibleName
+ */
+function getAccessibleName(elem)
+{
+  return normalize(computeName(elem, new Set(), false));
+}
+
+/**
+ * The private implementation of `getAccessibleName()`.
+ * @private
+ * @param {Element} elem - The element.
+ * @param {Set} visited - Elements already visited (prevents loops).
+ * @param {boolean} nested - Is this a nested call (for content)?
+ * @returns {string}
+ */
+function computeName(elem, visited, nested)
+{
+  if (visited.has(elem))
+  {
+    return '';
+  }
+  visited.add(elem);
+
+  const labelledBy = (elem.getAttribute('aria-labelledby') ?? '').trim();
+  if (labelledBy && !nested)
+  {
+    const names = [];
+    for (const id of labelledBy.split(/\s+/))
+    {
+      const ref = getById(elem, id);
+      if (ref)
+      {
+        names.push(textOf(ref, visited, true));
+      }
+    }
+    const name = names.join(' ');
+    if (name.trim()) return name;
+  }
+
+  const label = (elem.getAttribute('aria-label') ?? '').trim();
+  if (label)
+  {
+    return label;
+  }
+
+  const native = nativeName(elem, visited);
+  if (native.trim())
+  {
+    return native;
+  }
+
+  const role = getRole(elem);
+  if (nested || NAME_FROM_CONTENT.has(role))
+  {
+    const text = textOf(elem, visited, false);
+    if (text.trim()) return text;
+  }
+
+  return (elem.getAttribute('title')
+    ?? elem.getAttribute('placeholder')
+    ?? '');
+}
+
+/**
+ * Get the text of all labels for an element.
+ * 
+ * This includes the text of any elements referenced by `aria-labelledby`,
+ * the `aria-label` attribute, and the text of any associated `<label>`
+ * elements (for form controls).
+ * 
+ * @param {Element} elem - The element.
+ * @returns {string[]} The label text strings (with normalized whitespace).
+ * @alias module:@lumjs/web-core/aria.getLabels
+ */
+function getLabels(elem)
+{
+  const labels = [];
+  const add = (text) =>
+  {
+    text = normalize(text);
+    if (text) labels.push(text);
+  }
+
+  const labelledBy = (elem.getAttribute('aria-labelledby') ?? '').trim();
+  if (labelledBy)
+  {
+    for (const id of labelledBy.split(/\s+/))
+    {
+      const ref = getById(elem, id);
+      if (ref) add(ref.textContent);
+    }
+  }
+
+  add(elem.getAttribute('aria-label') ?? '');
+
+  if (elem.labels)
+  {
+    for (const lbl of elem.labels)
+    {
+      add(lbl.textContent);
+    }
+  }
+
+  return labels;
+}
+
+// Private: get a name from native HTML features.
+function nativeName(elem, visited)
+{
+  const tag = elem.localName;
+  const type = (elem.getAttribute('type') ?? '').toLowerCase();
+
+  if (tag === 'input' && ['button','submit','reset'].includes(type))
+  {
+    return elem.value || (type === 'submit' ? 'Submit'
+      : (type === 'reset' ? 'Reset' : ''));
+  }
+  else if (tag === 'input' && type === 'image')
+  {
+    return elem.getAttribute('alt') ?? elem.value ?? '';
+  }
+  else if (elem.labels && elem.labels.length > 0)
+  {
+    return Array.from(elem.labels, lbl => textOf(lbl, visited, false))
+      .join(' ');
+  }
+  else if (tag === 'img' || tag === 'area')
+  {
+    return elem.getAttribute('alt') ?? '';
+  }
+
+  const captions =
+  {
+    fieldset: 'legend',
+    figure: 'figcaption',
+    table: 'caption',
+    svg: 'title',
+  }
+
+  if (captions[tag])
+  {
+    for (const child of elem.children)
+    {
+      if (child.localName === captions[tag])
+      {
+        return textOf(child, visited, false);
+      }
+    }
+  }
+
+  return '';
+}
+
+// Private: get the text alternative from the content of an element.
+function textOf(elem, visited, force)
+{
+  let text = '';
+
+  for (const node of elem.childNodes)
+  {
+    if (node.nodeType === Node.TEXT_NODE)
+    {
+      text += node.data;
+    }
+    else if (node instanceof Element)
+    {
+      if (!force && isInaccessible(node))
+      { // Hidden content is not included.
+        continue;
+      }
+
+      let child;
+      if (node.localName === 'input' || node.localName === 'textarea')
+      { // Embedded controls use their value.
+        child = node.value ?? '';
+      }
+      else
+      {
+        child = computeName(node, visited, true);
+      }
+
+      const display = node.isConnected
+        ? getComputedStyle(node).display : 'inline';
+      text += (display.startsWith('inline') ? child : ` ${child} `);
+    }
+  }
+
+  return text;
+}
+
+module.exports =
+{
+  IMPLICIT_ROLES, NAME_FROM_CONTENT,
+  getRole, getAccessibleName, getLabels, isInaccessible, normalize,
+}
@@ -6,11 +6,19 @@
 "use strict";
 
 const core = require('@lumjs/core');
-const {S} = core.types;
+const {S,F,N,isObj,def,lazy} = core.types;
 const {lock} = core.obj;
 
 const U = require('./utils');
 const {VALID_TAG} = U;
+const {getPolicy,isSafeURL} = require('./sanitize');
+const {parseHTML,HTMLStreamParser} = require('./parser');
+const {isTrustedHTML,toHTML} = require('./trusted');
+const {onEvent,removeListeners} = require('./events');
+
+// Sub-modules, lazy-loaded to avoid circular requires.
+const mods = {};
+lazy(mods, 'query', () => require('./query'));
 
 /**
  * A set of constant values for use as `pos` arguments.
@@ -42,35 +50,70 @@ const POS = lock(
  * If this is a `string` then the following logic applies:
  * - If it appears to be a valid HTML element tag name,
  *   adds a new empty element. e.g. `"br"` becomes `<br/>`.
+ *   The element will be created in the SVG or MathML namespace when
+ *   added inside an SVG or MathML element (or for tag names only used
+ *   by SVG or MathML); see {@link module:@lumjs/web-core/utils.createElement}.
  * - If it starts with '<' and ends with '>' (ignoring leading
- *   or trailing whitespace), it will be passed to `addHTML()`.
+ *   or trailing whitespace), it will be passed to `addHTML()`
+ *   (which will sanitize it if sanitizing is enabled by default;
+ *   see {@link module:@lumjs/web-core/sanitize.defaults}).
  * - Anything else is passed to `addText()`.
  * 
  * If this is an `object`, it may be any one of:
+ * - A `TrustedHTML` instance, which will be passed to `addHTML()`.
  * - An `Element` instance.
+ * - Any other kind of `Node` instance, such as a `DocumentFragment`
+ *   (like those returned by the `html` template tag) or a `Text` node.
  * - A `NodeList` or `HTMLCollection` instance.
  * - An `Array` of the above `object` or `string` values.
+ * - A `Promise`, `function`, async iterable, or `ReadableStream`,
+ *   which will be passed to `addAsync()` (with the same `opts`).
  * 
  * @param {string} [pos="beforeend"] Position to add content at.
  * 
  * May be any value supported by `Element.insertAdjacentElement()`;
  * See {@link module:@lumjs/web-core/content.POS} for a list.
- *
+ * 
+ * @param {object} [opts] Options
+ * 
+ * @param {boolean} [opts.batch=false] Add a list of items in one go?
+ * 
+ * If `true` and the content is an `Array` or collection, all of the
+ * items will be built in a `DocumentFragment` first, which is then added
+ * to the document in a single operation, instead of adding each item
+ * separately (which may cause the layout to be recalculated repeatedly).
+ * The items will also stay in order, regardless of the `pos` used.
+ * 
+ * @param {(boolean|object)} [opts.sanitize] Sanitize HTML strings?
+ * See {@link module:@lumjs/web-core/content.addHTML} for details.
+ * 
+ * Any async content will be passed to `addAsync()` with these options,
+ * so any of its options (like `loading`) may be used too.
+ * 
+ * @returns {(Promise|undefined)} The promise returned by `addAsync()`
+ * if the content was async; or if the content is a list with any async
+ * items, a promise that resolves (to an array of their results) once
+ * all of them are done. Otherwise nothing.
+ * 
  * @alias module:@lumjs/web-core/content.addContent
  */
-function addContent(elem, content, pos=POS.LAST)
+function addContent(elem, content, pos=POS.LAST, opts={})
 {
-  if (typeof content === S)
+  if (isAsync(content))
+  {
+    return addAsync(elem, content, pos, opts);
+  }
+  else if (typeof content === S)
   {
     if (VALID_TAG.test(content))
     { // A tag name, let's make it into an empty element.
-      content = document.createElement(elem);
+      content = U.createElement(content, {context: contextOf(elem, pos)});
     }
     else
     {
       if (U.guessHTML(content))
       { // Assuming an HTML snippet.
-        addHTML(elem, content, pos);
+        addHTML(elem, content, pos, opts);
       }
       else
       { // Anything else is plain old text.
@@ -79,12 +122,35 @@ function addContent(elem, content, pos=POS.LAST)
       return;
     }
   }
+  else if (isTrustedHTML(content))
+  {
+    addHTML(elem, content, pos, opts);
+    return;
+  }
   else if (Array.isArray(content) || U.isContainer(content))
   {
+    if (opts.batch)
+    { // Build the items in a fragment, then add it.
+      const holder = holderFor(contextOf(elem, pos));
+      const done = addContent(holder, content, POS.LAST, 
+        Object.assign({}, opts, {batch: false}));
+      const frag = elem.ownerDocument.createDocumentFragment();
+      frag.append(...holder.childNodes);
+      insertNode(elem, frag, pos);
+      return done;
+    }
+
+    const promises = [];
     for (const item of content)
     {
-      addContent(elem, item, pos);
+      const done = addContent(elem, item, pos, opts);
+      if (done) promises.push(done);
     }
+    return (promises.length ? Promise.all(promises) : undefined);
+  }
+  else if (content instanceof Node && !(content instanceof Element))
+  { // A fragment, text node, etc.
+    insertNode(elem, content, pos);
     return;
   }
 
@@ -94,18 +160,87 @@ function addContent(elem, content, pos=POS.LAST)
 /**
  * Add any valid HTML to an element.
  * 
+ * The HTML is parsed as the content of `elem` (or of its parent, for
+ * the `BEFORE` and `AFTER` positions), so snippets that are only valid
+ * in certain elements (like table rows, list items, or SVG shapes)
+ * are added as is, whether or not the HTML is sanitized.
+ * 
  * @param {Element} elem Element to add HTML to.
- * @param {string} html HTML source to add.
+ * @param {(string|TrustedHTML)} html HTML source to add.
+ * 
+ * Strings will be passed through the registered Trusted Types policy
+ * (if there is one); see {@link module:@lumjs/web-core/trusted.toHTML}.
  * @param {string} [pos="beforeend"] Position to add content at.
  * 
  * May be any valud supported by `Element.insertAdjacentHTML()`;
  * See {@link module:@lumjs/web-core/content.POS} for a list.
  * 
+ * @param {object} [opts] Options
+ * 
+ * @param {(boolean|object)} [opts.sanitize] Sanitize the HTML?
+ * 
+ * May be `true` to use the default policy, `false` to disable sanitizing,
+ * or a custom policy `object`. If not specified, the HTML will only be
+ * sanitized if it has been enabled by default.
+ * See {@link module:@lumjs/web-core/sanitize.getPolicy} for details.
+ * 
  * @alias module:@lumjs/web-core/content.addHTML
  */
-function addHTML(elem, html, pos=POS.LAST)
+function addHTML(elem, html, pos=POS.LAST, opts={})
+{
+  const policy = getPolicy(opts.sanitize);
+
+  if (policy)
+  { // Parse and sanitize it first.
+    insertNode(elem, parseFragment(html, contextOf(elem, pos), policy), pos);
+  }
+  else
+  {
+    elem.insertAdjacentHTML(pos, toHTML(html));
+  }
+}
+
+// Private: parse HTML into a fragment, as the content of a context node.
+function parseFragment(html, context, sanitize)
+{
+  const frag = document.createDocumentFragment();
+  frag.append(...parseHTML(html, 
+  {
+    context: (context instanceof Element ? context : 'template'),
+    multiple: true,
+    allNodes: true,
+    sanitize,
+  }));
+  return frag;
+}
+
+// Private: the node that content added at a position will be inside of.
+function contextOf(elem, pos)
 {
-  elem.insertAdjacentHTML(pos, html);
+  return ((pos === POS.BEFORE || pos === POS.AFTER) ? elem.parentNode : elem);
+}
+
+// Private: insert any kind of node (including fragments) at a position.
+function insertNode(elem, node, pos)
+{
+  switch (pos)
+  {
+    case POS.BEFORE:
+      elem.before(node);
+      break;
+    case POS.AFTER:
+      elem.after(node);
+      break;
+    case POS.FIRST:
+      elem.prepend(node);
+      break;
+    case POS.LAST:
+      elem.append(node);
+      break;
+    default:
+      console.error({elem, node, pos});
+      throw new TypeError("Invalid position");
+  }
 }
 
 /**
@@ -125,7 +260,2104 @@ function addText(elem, text, pos=POS.LAST)
   elem.insertAdjacentText(pos, text);
 }
 
+// Private: is a value supported by addAsync()?
+function isAsync(value)
+{
+  return (typeof value === F
+    || typeof value?.then === F
+    || typeof value?.getReader === F
+    || typeof value?.[Symbol.asyncIterator] === F);
+}
+
+/**
+ * Add content that is not available yet.
+ * 
+ * A pair of (empty) comment nodes are inserted at the position right away
+ * to mark where the content will go; and are removed when done.
+ * 
+ * @param {Element} elem Element to add content to.
+ * 
+ * @param {*} content Content to add.
+ * 
+ * May be any one of:
+ * - A `Promise` (or any _thenable_ object) that resolves to content.
+ * - A `function` that returns content; it will be passed `opts.signal`
+ *   (which may be `undefined`).
+ * - An _async iterable_ object (such as an async generator), where each
+ *   value is a chunk of content.
+ * - A `ReadableStream` (such as the `body` of a `fetch()` response),
+ *   where each chunk is a `string` or bytes (decoded as UTF-8).
+ * 
+ * Promises and functions may resolve to any of the above, or to anything
+ * else supported by `addContent()`.
+ * 
+ * Streamed `string` chunks are treated as parts of one HTML document
+ * (unless `opts.text` is `true`); so elements may be split across chunks.
+ * Elements are added to the document as soon as they are complete; and
+ * any incomplete content at the end is shown as far as it has arrived.
+ * Any other kinds of chunks are added using the `addContent()` rules.
+ * 
+ * @param {string} [pos="beforeend"] Position to add content at.
+ * See {@link module:@lumjs/web-core/content.POS} for a list.
+ * 
+ * @param {object} [opts] Options
+ * 
+ * @param {*} [opts.loading] Content to show until the content arrives.
+ * 
+ * Will be removed when the first chunk of a stream arrives, or when a
+ * promise resolves, as well as if an error occurs or it is aborted.
+ * 
+ * @param {*} [opts.error] Content to show if an error occurs.
+ * 
+ * If this is a `function` it will be passed the error, and must return
+ * the content. Any content already added will be removed first.
+ * If this option is not specified, the returned promise will be
+ * rejected with the error instead (after removing the loading content).
+ * 
+ * @param {AbortSignal} [opts.signal] A signal to cancel with.
+ * 
+ * If aborted, the stream will be cancelled, the loading content will be
+ * removed, and the returned promise will be rejected with the abort reason.
+ * Any complete content already added will be kept.
+ * 
+ * @param {boolean} [opts.text=false] Treat string chunks as plain text?
+ * 
+ * @param {boolean} [opts.replace=false] Replace content with each chunk?
+ * 
+ * If `true`, each chunk is a complete replacement for the previous one
+ * (useful for things like progress updates); otherwise chunks are added.
+ * 
+ * @param {(boolean|object)} [opts.sanitize] Sanitize HTML strings?
+ * See {@link module:@lumjs/web-core/content.addHTML} for details.
+ * 
+ * @returns {Promise<Node[]>} Resolves to the nodes added when done.
+ * 
+ * @alias module:@lumjs/web-core/content.addAsync
+ * 
+ * @example
+ * 
+ *   const ctrl = new AbortController();
+ *   await addAsync(panel, fetch(url).then(res => res.body), POS.LAST, 
+ *   {
+ *     loading: '<p class="loading">Loading...</p>',
+ *     error: err => `<p class="error">${escapeHTML(err.message)}</p>`,
+ *     signal: ctrl.signal,
+ *   });
+ * 
+ */
+function addAsync(elem, content, pos=POS.LAST, opts={})
+{
+  const signal = opts.signal;
+  if (signal?.aborted)
+  {
+    return Promise.reject(signal.reason);
+  }
+
+  const doc = elem.ownerDocument;
+  const start = doc.createComment('');
+  const end = doc.createComment('');
+  const frag = doc.createDocumentFragment();
+  frag.append(start, end);
+  insertNode(elem, frag, pos);
+
+  const region = asyncRegion(start, end, opts);
+  return region.fill(content).then(() => region.done(), err =>
+  {
+    region.clear(signal?.aborted || opts.error === undefined);
+    if (signal?.aborted || opts.error === undefined)
+    {
+      region.done();
+      throw err;
+    }
+    const errContent = (typeof opts.error === F) ? opts.error(err) : opts.error;
+    end.before(...nodesOf(errContent, end.parentNode));
+    return region.done();
+  });
+}
+
+// Private: the state of the content being added by addAsync().
+function asyncRegion(start, end, opts)
+{
+  const signal = opts.signal;
+  const decoder = new TextDecoder();
+
+  let loading = (opts.loading === undefined) 
+    ? [] : nodesOf(opts.loading, end.parentNode);
+  end.before(...loading);
+
+  let stream = null;  // The parser for the current HTML chunks.
+  let pending = [];   // A copy of the incomplete content at the end.
+  let text = null;    // The text node for text chunks.
+
+  // Reject if aborted while waiting (or by the time it resolved).
+  const aborted = signal ? new Promise((resolve, reject) => 
+    signal.addEventListener('abort', () => reject(signal.reason), 
+    {once: true})) : null;
+  aborted?.catch(() => {}); // Handled by waitFor().
+
+  const waitFor = (promise) => (aborted 
+    ? Promise.race([promise, aborted]).then(value =>
+    {
+      signal.throwIfAborted();
+      return value;
+    }) : promise);
+
+  const region =
+  {
+    nodes()
+    {
+      const nodes = [];
+      for (let node = start.nextSibling; node && node !== end; 
+        node = node.nextSibling)
+      {
+        nodes.push(node);
+      }
+      return nodes;
+    },
+
+    clear(partial)
+    { // Remove the loading and pending content, or everything.
+      const remove = partial ? [...loading, ...pending] : region.nodes();
+      for (const node of remove)
+      {
+        node.remove();
+      }
+      loading = [];
+      pending = [];
+    },
+
+    done()
+    {
+      const nodes = region.nodes();
+      start.remove();
+      end.remove();
+      return nodes;
+    },
+
+    async fill(value)
+    {
+      while (typeof value === F || typeof value?.then === F)
+      {
+        value = (typeof value === F)
+          ? value(signal) : await waitFor(value);
+      }
+
+      if (typeof value?.getReader === F)
+      { // A ReadableStream.
+        const reader = value.getReader();
+        const cancel = () => reader.cancel(signal.reason).catch(() => {});
+        signal?.addEventListener('abort', cancel, {once: true});
+        try
+        {
+          await region.read(() => reader.read());
+        }
+        finally
+        {
+          signal?.removeEventListener('abort', cancel);
+        }
+      }
+      else if (typeof value?.[Symbol.asyncIterator] === F)
+      {
+        const iter = value[Symbol.asyncIterator]();
+        let finished = false;
+        try
+        {
+          await region.read(() => iter.next());
+          finished = true;
+        }
+        finally
+        {
+          if (!finished && typeof iter.return === F)
+          {
+            iter.return();
+          }
+        }
+      }
+      else
+      {
+        region.clear(true);
+        end.before(...nodesOf(value, end.parentNode, 
+          {sanitize: opts.sanitize}));
+      }
+    },
+
+    async read(next)
+    {
+      while (true)
+      {
+        const {done, value} = await waitFor(next());
+        if (done) break;
+        if (loading.length) region.clear(true);
+        region.write(value);
+      }
+      region.write(decoder.decode());
+      region.render(null);
+    },
+
+    write(chunk)
+    {
+      if (chunk instanceof ArrayBuffer || ArrayBuffer.isView(chunk))
+      {
+        chunk = decoder.decode(chunk, {stream: true});
+      }
+
+      if (typeof chunk === S && chunk === '')
+      {
+        return;
+      }
+
+      if (opts.replace)
+      {
+        region.clear(false);
+        stream = null;
+        text = null;
+      }
+
+      if (typeof chunk !== S)
+      { // Finish any HTML so far, then add the content.
+        region.render(null);
+        text = null;
+        end.before(...nodesOf(chunk, end.parentNode));
+      }
+      else if (opts.text)
+      {
+        if (!text)
+        {
+          text = end.ownerDocument.createTextNode('');
+          end.before(text);
+        }
+        text.appendData(chunk);
+      }
+      else
+      {
+        stream ??= new HTMLStreamParser(
+          {context: end.parentNode, sanitize: opts.sanitize});
+        region.render(chunk);
+      }
+    },
+
+    render(chunk)
+    { // Parse a chunk of HTML, or finish parsing if null.
+      if (stream === null) return;
+
+      for (const node of pending)
+      {
+        node.remove();
+      }
+
+      if (chunk === null)
+      {
+        end.before(...stream.close());
+        stream = null;
+        pending = [];
+      }
+      else
+      { // The complete nodes, then a copy of the rest so far.
+        end.before(...stream.write(chunk));
+        pending = stream.pending();
+        end.before(...pending);
+      }
+    },
+  }
+
+  return region;
+}
+
+// Private: a unique prefix for the placeholders used by `html`.
+const MARK = 'lum' + Math.random().toString(36).slice(2, 10);
+const MARK_VALUE = new RegExp(`^${MARK}:(\\d+)$`);
+const MARK_PART = new RegExp(`${MARK}:(\\d+)`, 'g');
+const MARK_ATTR = new RegExp(`^${MARK}-(\\d+)$`);
+
+// Private: the trusted.toHTML() hint for markup built by `html`.
+const HTML_HINT = 'html-template';
+
+// Private: an unquoted attribute value in the html template parser.
+const ATTR_NAME = /([^\s"'<>\/=]+)\s*=\s*$/;
+
+/**
+ * Escape a string for use in HTML text or attribute values.
+ * 
+ * @param {*} value - The value to escape (will be converted to a string).
+ * @returns {string}
+ * @alias module:@lumjs/web-core/content.escapeHTML
+ */
+function escapeHTML(value)
+{
+  return String(value).replace(/[&<>"']/g, c => ESCAPES[c]);
+}
+
+const ESCAPES =
+{
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+}
+
+/**
+ * A tagged template for building HTML content safely.
+ * 
+ * The template string itself is trusted (it's part of your code), 
+ * but the interpolated values are handled depending on their position
+ * in the template:
+ * 
+ * **Content** (between tags):
+ * 
+ * - A `Node` (including `Element`, `DocumentFragment`, or the return 
+ *   value from another `html` template) is inserted in place.
+ * - A `NodeList`, `HTMLCollection`, `FindResult` or `Array` will have
+ *   each of its items inserted in place (arrays may contain any of the
+ *   values supported here, including nested arrays).
+ * - A `TrustedHTML` value will be parsed and inserted in place.
+ * - `null`, `undefined`, and `false` are ignored.
+ * - Anything else is converted to a string and _escaped_.
+ * 
+ * Any nodes interpolated are _moved_ into the new content 
+ * (the same as when using `addContent()`).
+ * 
+ * **Attribute values** (e.g. `title=${value}` or `title="${value}"`):
+ * 
+ * - If the attribute name starts with `on` and the value is a `function`
+ *   or `object`, it will be used as an event handler with `onEvent()`, 
+ *   and the attribute itself will not be added. Any other values for
+ *   `on*` attributes (such as strings) are ignored.
+ * - `true` sets the attribute with an empty value (for boolean attributes).
+ * - `null`, `undefined`, and `false` remove the attribute.
+ * - Anything else is converted to a string and used as the value.
+ * 
+ * If the value is only _part_ of a quoted attribute value, 
+ * e.g. `class="item ${extra}"`, then it is always converted to a 
+ * string (with `null` and `undefined` being empty), and the attribute
+ * is then handled as if the whole string had been the value.
+ * 
+ * Event handler (`on*`) attributes are never added as attributes,
+ * whether they are in the template itself or have interpolated values;
+ * use an interpolated `function` or `object` instead.
+ * 
+ * The values of URL attributes (like `href`, `src` or `action`; see
+ * the `urlAttributes` of the default sanitizer policy) are checked
+ * with {@link module:@lumjs/web-core/sanitize.isSafeURL}, and the
+ * attribute will not be added if the URL is not allowed. To allow
+ * other schemes (such as `blob:` or `data:`), change the default
+ * policy in `sanitize.defaults`, or use `html.with()` to build a 
+ * template tag with a custom policy.
+ * 
+ * **Attributes** (e.g. `<input ${attrs}>`):
+ * 
+ * An `object` where each property is an attribute name, and the value
+ * is handled the same as individual attribute values (see above).
+ * 
+ * Interpolating tag or attribute _names_ is not supported.
+ * 
+ * If a Trusted Types policy has been registered, the markup is passed
+ * through it with a hint of `"html-template"` (the policies created by
+ * `trusted.createPolicy()` do not sanitize it, as the only parts of it
+ * not from your code are the escaped values).
+ * 
+ * @param {string[]} strings - The template strings.
+ * @param {...any} values - The interpolated values.
+ * 
+ * @returns {(Element|DocumentFragment)} If the content has a single
+ * element (ignoring any whitespace around it) it will be returned.
+ * Otherwise a `DocumentFragment` with all of the content is returned.
+ * 
+ * Either may be passed to `addContent()` with any of the `POS` values.
+ * 
+ * @alias module:@lumjs/web-core/content.html
+ * 
+ * @example
+ * 
+ *   const {html, addContent, POS} = require('@lumjs/web-core/content');
+ * 
+ *   const item = html`<li class="item ${type}" hidden=${!visible}
+ *     onclick=${e => select(e.target)}>${label}</li>`;
+ *   const list = html`<ul>${items.map(i => html`<li>${i.name}</li>`)}</ul>`;
+ * 
+ *   addContent(container, html`<h2>${title}</h2>${list}`, POS.FIRST);
+ * 
+ */
+function html(strings, ...values)
+{
+  return buildHTML(strings, values, getPolicy(true));
+}
+
+/**
+ * Get an `html` template tag that uses custom options.
+ * 
+ * This function is also available as `html.with()`.
+ * 
+ * @param {object} [opts] Options
+ * 
+ * @param {(boolean|object)} [opts.sanitize=true] The URL policy.
+ * 
+ * The sanitizer policy used to check the values of URL attributes.
+ * May be `true` to use the default policy, `false` to allow any URL,
+ * or a custom policy `object` (any properties not specified in it
+ * will be taken from the default policy).
+ * See {@link module:@lumjs/web-core/sanitize.getPolicy} for details.
+ * 
+ * @returns {function} A template tag that works the same as `html`,
+ * but using the specified options.
+ * 
+ * @alias module:@lumjs/web-core/content.htmlWith
+ * 
+ * @example
+ * 
+ *   const media = html.with({sanitize: {schemes: ['http','https','blob']}});
+ *   const img = media`<img src=${URL.createObjectURL(file)} alt="">`;
+ * 
+ */
+function htmlWith(opts={})
+{
+  const policy = getPolicy(opts.sanitize ?? true);
+  return (strings, ...values) => buildHTML(strings, values, policy);
+}
+
+def(html, 'with', htmlWith);
+
+// Private: the implementation of html() and the tags from htmlWith().
+function buildHTML(strings, values, policy)
+{
+  const slots = [];
+  let markup = '';
+  let state = TEXT, quote = null;
+
+  for (let i = 0; i < strings.length; i++)
+  {
+    const chunk = strings[i];
+    [state, quote] = scanHTML(chunk, state, quote);
+    markup += chunk;
+
+    if (i === values.length) break;
+
+    const value = values[i];
+
+    if (state === TEXT)
+    {
+      if (isPrimitive(value))
+      {
+        markup += textValue(value);
+      }
+      else
+      { // A placeholder comment.
+        markup += `<!--${MARK}:${slots.length}-->`;
+        slots.push(value);
+      }
+    }
+    else if (state === TAG && quote)
+    {
+      // A placeholder for the whole value, or part of it.
+      markup += `${MARK}:${slots.length}`;
+      slots.push(value);
+    }
+    else if (state === TAG && ATTR_NAME.test(chunk))
+    { // An unquoted value; use a quoted placeholder.
+      markup += `"${MARK}:${slots.length}"`;
+      slots.push(value);
+    }
+    else if (state === TAG)
+    { // A placeholder attribute.
+      markup += ` ${MARK}-${slots.length} `;
+      slots.push(value);
+    }
+    else
+    { // Inside a comment.
+      markup += textValue(value);
+    }
+  }
+
+  const tmpl = document.createElement('template');
+  tmpl.innerHTML = toHTML(markup, HTML_HINT);
+  const frag = document.importNode(tmpl.content, true);
+
+  fillSlots(frag, slots, policy);
+
+  const nodes = Array.from(frag.childNodes);
+  const elems = nodes.filter(node => node instanceof Element);
+  if (elems.length === 1 && nodes.every(node => node === elems[0]
+    || (node.nodeType === Node.TEXT_NODE && node.data.trim() === '')))
+  { // A single element.
+    return elems[0];
+  }
+
+  return frag;
+}
+
+// Private: states for scanHTML().
+const TEXT = 0, TAG = 1, COMMENT = 2;
+
+// Private: scan a chunk of HTML to find the state at the end of it.
+function scanHTML(chunk, state, quote)
+{
+  for (let i = 0; i < chunk.length; i++)
+  {
+    const c = chunk[i];
+
+    if (state === TEXT)
+    {
+      if (chunk.startsWith('<!--', i))
+      {
+        state = COMMENT;
+        i += 3;
+      }
+      else if (c === '<' && /[a-zA-Z\/]/.test(chunk[i+1] ?? ''))
+      {
+        state = TAG;
+      }
+    }
+    else if (state === COMMENT)
+    {
+      if (chunk.startsWith('-->', i))
+      {
+        state = TEXT;
+        i += 2;
+      }
+    }
+    else if (quote)
+    {
+      if (c === quote) quote = null;
+    }
+    else if (c === '"' || c === "'")
+    {
+      quote = c;
+    }
+    else if (c === '>')
+    {
+      state = TEXT;
+    }
+  }
+
+  return [state, quote];
+}
+
+// Private: is a value a primitive (non-object) value?
+const isPrimitive = (value) => (!isObj(value) && typeof value !== F);
+
+// Private: the escaped text for a value in the content.
+const textValue = (value) => ((value === null || value === undefined 
+  || value === false) ? '' : escapeHTML(value));
+
+// Private: replace the placeholders in the content built by html().
+function fillSlots(frag, slots, policy)
+{
+  const walker = document.createTreeWalker(frag,
+    NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_COMMENT);
+  const comments = [], elements = [];
+
+  while (walker.nextNode())
+  {
+    const node = walker.currentNode;
+    if (node.nodeType === Node.COMMENT_NODE)
+    {
+      const m = node.data.match(MARK_VALUE);
+      if (m) comments.push([node, slots[m[1]]]);
+    }
+    else if (node.hasAttributes())
+    {
+      elements.push(node);
+    }
+  }
+
+  // Attributes first, as the content may add more elements.
+  for (const el of elements)
+  {
+    for (const attr of Array.from(el.attributes))
+    {
+      let m;
+      if ((m = attr.value.match(MARK_VALUE)))
+      {
+        setAttr(el, attr.name, slots[m[1]], policy);
+      }
+      else if (attr.value.includes(MARK + ':'))
+      { // Values in part of the attribute value.
+        setAttr(el, attr.name, attr.value.replace(MARK_PART, 
+          (_, n) => String(slots[n] ?? '')), policy);
+      }
+      else if (attr.name.toLowerCase().startsWith('on'))
+      { // Event handlers are never added as attributes.
+        el.removeAttribute(attr.name);
+      }
+      else if ((m = attr.name.match(MARK_ATTR)))
+      {
+        el.removeAttribute(attr.name);
+        const attrs = slots[m[1]];
+        if (isObj(attrs))
+        {
+          for (const name in attrs)
+          {
+            setAttr(el, name, attrs[name], policy);
+          }
+        }
+        else if (attrs !== null && attrs !== undefined && attrs !== false)
+        {
+          console.error("attributes must be an object", {attrs, el});
+        }
+      }
+    }
+  }
+
+  for (const [comment, value] of comments)
+  {
+    comment.replaceWith(...contentNodes(value));
+  }
+}
+
+// Private: set an attribute value for html().
+function setAttr(el, name, value, policy)
+{
+  if (name.toLowerCase().startsWith('on'))
+  { // Event handlers are never added as attributes.
+    el.removeAttribute(name);
+    if (typeof value === F || isObj(value))
+    {
+      onEvent(el, name.slice(2).toLowerCase(), value);
+    }
+    else if (value !== null && value !== undefined && value !== false)
+    {
+      console.warn("event handlers must be functions or objects", 
+        {name, value, el});
+    }
+  }
+  else if (value === true)
+  {
+    el.setAttribute(name, '');
+  }
+  else if (value === null || value === undefined || value === false)
+  {
+    el.removeAttribute(name);
+  }
+  else if (policy && policy.urlAttributes.includes(name.toLowerCase())
+    && !isSafeURL(value, policy))
+  {
+    el.removeAttribute(name);
+    console.warn("URL not allowed", {name, value, el});
+  }
+  else
+  {
+    el.setAttribute(name, String(value));
+  }
+}
+
+// Private: get the nodes for a content value in html().
+function contentNodes(value, nodes=[])
+{
+  if (value instanceof Node)
+  {
+    nodes.push(value);
+  }
+  else if (value instanceof mods.query.FindResult)
+  {
+    contentNodes(value.results, nodes);
+  }
+  else if (isTrustedHTML(value))
+  {
+    const tmpl = document.createElement('template');
+    tmpl.innerHTML = value;
+    nodes.push(document.importNode(tmpl.content, true));
+  }
+  else if (Array.isArray(value) || U.isContainer(value))
+  {
+    for (const item of Array.from(value))
+    {
+      contentNodes(item, nodes);
+    }
+  }
+  else if (value !== null && value !== undefined && value !== false)
+  {
+    nodes.push(document.createTextNode(String(value)));
+  }
+
+  return nodes;
+}
+
+/**
+ * Create an element (hyperscript style).
+ * 
+ * @param {string} tag - The tag name.
+ * 
+ * SVG and MathML elements are created in the correct namespace
+ * automatically; see {@link module:@lumjs/web-core/utils.namespaceFor}
+ * for details (including how to explicitly set the namespace).
+ * 
+ * @param {object} [props] Properties and attributes for the element.
+ * 
+ * If this is not a plain `object` (e.g. a `string` or a `Node`), 
+ * it will be used as the first child instead.
+ * 
+ * The following property names have special meanings:
+ * 
+ * - `ns` → An explicit namespace; see `utils.namespaceFor()`.
+ * - `class` or `className` → May be a `string`, an `Array` of class 
+ *   names (falsey values are skipped), or an `object` where the keys 
+ *   are class names, and the values determine if they are added.
+ * - `style` → May be a `string`, or an `object` of style properties
+ *   (custom `--properties` or names with dashes use `setProperty()`).
+ * - `dataset` or `data` → An `object` of `data-*` values.
+ * - `aria` → An `object` of `aria-*` attributes (the keys do not need
+ *   the `aria-` prefix; `boolean` values become `"true"` or `"false"`).
+ * - `on` → An `object` where the keys are event names and the values
+ *   are event handlers; registered using `events.onEvent()`.
+ * - `attrs` → An `object` of attributes to set with `setAttribute()`.
+ * - `props` → An `object` of properties to assign directly.
+ * 
+ * Any other property names are handled as follows:
+ * 
+ * - If the name starts with `on` and the value is a `function` or an
+ *   `object`, it's an event handler (e.g. `onclick` or `onClick`).
+ * - If the element is an HTML element and the name (without any dashes)
+ *   is a property of the element that can be set (read-only properties
+ *   like `list` or `form` are skipped), the property will be set.
+ * - Anything else will be set as an attribute, where `true` sets an
+ *   empty value, and `false` removes the attribute. Namespaced attributes
+ *   such as `xlink:href` or `xml:lang` are supported.
+ * 
+ * Any `null` or `undefined` values are always skipped.
+ * 
+ * @param {...any} children - Children to add to the element.
+ * 
+ * `Node` values are added as is, `TrustedHTML` values are parsed as HTML,
+ * and `Array`, `NodeList`, `HTMLCollection` and `FindResult` values will
+ * have each of their items added. Async values (functions, promises, streams and async iterables)
+ * are passed to `addContent()`, and any errors from them will be logged
+ * to the console. Everything else is added as text.
+ * 
+ * @returns {Element}
+ * 
+ * @alias module:@lumjs/web-core/content.h
+ * 
+ * @example
+ * 
+ *   const {h} = require('@lumjs/web-core/content');
+ * 
+ *   const btn = h('button', 
+ *   {
+ *     type: 'button',
+ *     class: ['btn', {active: isActive}],
+ *     aria: {pressed: isActive},
+ *     onclick: toggle,
+ *   }, 'Toggle');
+ * 
+ *   const icon = h('svg', {viewBox: '0 0 24 24', width: 24, height: 24},
+ *     h('path', {d: 'M12 2L2 22h20z', fill: 'currentColor'}));
+ * 
+ */
+function h(tag, props, ...children)
+{
+  if (!isProps(props))
+  { // No props, it's a child.
+    if (props !== undefined) children.unshift(props);
+    props = {};
+  }
+
+  const {ns, tag: name} = U.namespaceFor(tag, props.ns ?? null);
+  const el = document.createElementNS(ns, name);
+  const isHTML = (ns === U.NS.HTML);
+
+  for (const key in props)
+  {
+    const value = props[key];
+    if (value === null || value === undefined || key === 'ns') continue;
+
+    switch (key)
+    {
+      case 'class':
+      case 'className':
+        setClass(el, value);
+        break;
+      case 'style':
+        setStyle(el, value);
+        break;
+      case 'data':
+      case 'dataset':
+        for (const dkey in value)
+        {
+          if (value[dkey] !== null && value[dkey] !== undefined)
+          {
+            el.dataset[dkey] = value[dkey];
+          }
+        }
+        break;
+      case 'aria':
+        for (const akey in value)
+        {
+          const aval = value[akey];
+          if (aval !== null && aval !== undefined)
+          {
+            const aname = akey.startsWith('aria-') ? akey : `aria-${akey}`;
+            el.setAttribute(aname.toLowerCase(), String(aval));
+          }
+        }
+        break;
+      case 'on':
+        for (const event in value)
+        {
+          onEvent(el, event, value[event]);
+        }
+        break;
+      case 'attrs':
+        for (const aname in value)
+        {
+          setAttrNS(el, aname, value[aname]);
+        }
+        break;
+      case 'props':
+        Object.assign(el, value);
+        break;
+      default:
+        if (key.startsWith('on') && (typeof value === F || isObj(value)))
+        {
+          onEvent(el, key.slice(2).toLowerCase(), value);
+        }
+        else if (isHTML && !key.includes('-') && hasSetter(el, key))
+        {
+          el[key] = value;
+        }
+        else
+        {
+          setAttrNS(el, key, value);
+        }
+    }
+  }
+
+  const items = children.map(child => 
+    (isAsync(child) ? child : contentNodes(child)));
+  logErrors(addContent(el, items), children);
+
+  return el;
+}
+
+// Private: can a property be set on an object?
+function hasSetter(obj, key)
+{
+  for (let proto = obj; proto !== null; proto = Object.getPrototypeOf(proto))
+  {
+    const desc = Object.getOwnPropertyDescriptor(proto, key);
+    if (desc)
+    { // The closest definition is the one that's used.
+      return (desc.writable || typeof desc.set === F);
+    }
+  }
+  return false;
+}
+
+// Private: is a value a plain object of props for h()?
+function isProps(value)
+{
+  if (!isObj(value) || Array.isArray(value)) return false;
+  const proto = Object.getPrototypeOf(value);
+  return (proto === Object.prototype || proto === null);
+}
+
+// Private: set classes for h().
+function setClass(el, value)
+{
+  if (typeof value === S)
+  {
+    const names = value.trim();
+    if (names) el.classList.add(...names.split(/\s+/));
+  }
+  else if (Array.isArray(value))
+  {
+    for (const item of value)
+    {
+      if (item) setClass(el, item);
+    }
+  }
+  else if (isObj(value))
+  {
+    for (const name in value)
+    {
+      if (value[name]) el.classList.add(name);
+    }
+  }
+}
+
+// Private: set styles for h().
+function setStyle(el, value)
+{
+  if (typeof value === S)
+  {
+    el.setAttribute('style', value);
+    return;
+  }
+
+  for (const prop in value)
+  {
+    const val = value[prop];
+    if (val === null || val === undefined) continue;
+
+    if (prop.includes('-'))
+    { // A custom property, or a CSS-style property name.
+      el.style.setProperty(prop, val);
+    }
+    else
+    {
+      el.style[prop] = val;
+    }
+  }
+}
+
+// Private: set an attribute (supporting namespaced attributes) for h().
+function setAttrNS(el, name, value)
+{
+  const prefix = name.includes(':') ? name.split(':')[0] : null;
+  const ns = ATTR_NS[prefix] ?? null;
+
+  if (value === false || value === null || value === undefined)
+  {
+    if (ns) el.removeAttributeNS(ns, name.slice(prefix.length+1));
+    else el.removeAttribute(name);
+  }
+  else
+  {
+    value = (value === true) ? '' : String(value);
+    if (ns) el.setAttributeNS(ns, name, value);
+    else el.setAttribute(name, value);
+  }
+}
+
+// Private: namespaces for prefixed attributes.
+const ATTR_NS =
+{
+  xlink: U.NS.XLINK,
+  xml: U.NS.XML,
+  xmlns: U.NS.XMLNS,
+}
+
+/**
+ * Update the content of an element to match new content, using the
+ * minimal DOM operations needed.
+ * 
+ * Unlike emptying the element and adding the new content, any existing
+ * nodes that match the new content are kept and updated in place, so
+ * their event listeners, focus, selection, scroll positions, and any
+ * form values entered by the user are preserved.
+ * 
+ * Child nodes are matched up in order, where elements must have the
+ * same tag name (and the same key, see `opts.key`) to be considered
+ * a match. Elements with keys will be moved to their new position if
+ * their order has changed. Attributes are updated to match the new
+ * content, but _properties_ (such as the `value` of form controls)
+ * are not changed.
+ * 
+ * @param {Element} target - The element to update.
+ * 
+ * @param {*} newContent - The new content.
+ * 
+ * A `string` or `TrustedHTML` will be parsed as HTML. Any other values
+ * supported by the `html` template tag (nodes, collections, arrays, and
+ * `FindResult` objects) may also be used. Any nodes passed will be
+ * _moved_ into the target (if they don't match an existing node).
+ * 
+ * @param {object} [opts] Options
+ * 
+ * @param {(string|function)} [opts.key] How to get element keys.
+ * 
+ * If this is a `string` it is the name of an attribute to use.
+ * If it is a `function` it will be passed an element, and must return
+ * the key (or `null` if the element has no key).
+ * 
+ * By default the `id` attribute is used, or the `data-key` attribute
+ * for elements without an `id`.
+ * 
+ * @param {boolean} [opts.outer=false] Update the target itself?
+ * 
+ * If `true`, the new content must be a single element, and the
+ * attributes of the `target` will be updated to match it as well.
+ * 
+ * @param {(boolean|object)} [opts.sanitize] Sanitize HTML strings?
+ * See {@link module:@lumjs/web-core/content.addHTML} for details.
+ * 
+ * @param {function} [opts.beforeUpdate] Called before updating an element.
+ * 
+ * Will be passed the existing element and the new element it will be
+ * updated to match. If it returns `false`, the existing element (and
+ * all of its children) will be left as is.
+ * 
+ * @param {function} [opts.beforeRemove] Called before removing a node.
+ * 
+ * Will be passed the existing node. If it returns `false`, the node 
+ * will not be removed.
+ * 
+ * @param {function} [opts.added] Called after adding a new node.
+ * 
+ * Will be passed the node that was added.
+ * 
+ * @returns {Element} The `target` element.
+ * 
+ * @throws {TypeError} If `target` is not an `Element`, or `opts.outer`
+ * is `true` and the new content is not a single element.
+ * 
+ * @alias module:@lumjs/web-core/content.morph
+ * 
+ * @example
+ * 
+ *   // Re-render a list without losing the state of the existing items.
+ *   morph(list, html`${items.map(i => html`<li data-key=${i.id}>${i.name}</li>`)}`);
+ * 
+ */
+function morph(target, newContent, opts={})
+{
+  if (!(target instanceof Element))
+  {
+    console.error({target, newContent, opts});
+    throw new TypeError("target must be an Element");
+  }
+
+  const frag = toFragment(newContent, opts, 
+    (opts.outer ? target.parentNode : target));
+  const ctx = morphContext(opts);
+
+  // Remember the focus state, as moving nodes will lose it.
+  const active = target.ownerDocument.activeElement;
+  const hadFocus = (active && active !== target.ownerDocument.body
+    && target.contains(active));
+  const selection = hadFocus ? getSelectionRange(active) : null;
+
+  if (opts.outer)
+  {
+    const newElem = frag.firstElementChild;
+    if (frag.childElementCount !== 1 
+      || newElem.localName !== target.localName)
+    {
+      console.error({target, newContent, opts});
+      throw new TypeError("outer morph requires a single matching element");
+    }
+    morphNode(target, newElem, ctx);
+  }
+  else
+  {
+    morphChildren(target, frag, ctx);
+  }
+
+  if (hadFocus && active.isConnected 
+    && active.ownerDocument.activeElement !== active)
+  { // Restore the focus (and selection).
+    active.focus({preventScroll: true});
+    setSelectionRange(active, selection);
+  }
+
+  return target;
+}
+
+// Private: convert content for morph() into a DocumentFragment.
+function toFragment(content, opts, context)
+{
+  if (typeof content === S || isTrustedHTML(content))
+  {
+    return parseFragment(content, context, opts.sanitize);
+  }
+  else if (content instanceof DocumentFragment)
+  {
+    return content;
+  }
+
+  const frag = document.createDocumentFragment();
+  frag.append(...contentNodes(content));
+  return frag;
+}
+
+// Private: build the compiled options for morph().
+function morphContext(opts)
+{
+  let keyOf;
+  if (typeof opts.key === F)
+  {
+    keyOf = opts.key;
+  }
+  else if (typeof opts.key === S)
+  {
+    keyOf = el => el.getAttribute(opts.key);
+  }
+  else
+  {
+    keyOf = el => (el.id || el.getAttribute('data-key'));
+  }
+
+  const noop = () => true;
+
+  return {
+    key: node => ((node instanceof Element) ? (keyOf(node) || null) : null),
+    beforeUpdate: opts.beforeUpdate ?? noop,
+    beforeRemove: opts.beforeRemove ?? noop,
+    added: opts.added ?? noop,
+  }
+}
+
+// Private: are two nodes compatible (can one be morphed into the other)?
+function sameKind(oldNode, newNode, ctx)
+{
+  if (oldNode.nodeType !== newNode.nodeType)
+  {
+    return false;
+  }
+  else if (oldNode instanceof Element)
+  {
+    return (oldNode.localName === newNode.localName
+      && oldNode.namespaceURI === newNode.namespaceURI
+      && ctx.key(oldNode) === ctx.key(newNode));
+  }
+  return true;
+}
+
+// Private: morph the children of a node.
+function morphChildren(oldParent, newParent, ctx)
+{
+  const keyed = new Map();
+  for (const child of oldParent.children)
+  {
+    const key = ctx.key(child);
+    if (key !== null && !keyed.has(key))
+    {
+      keyed.set(key, child);
+    }
+  }
+
+  let cursor = oldParent.firstChild;
+
+  for (const newNode of Array.from(newParent.childNodes))
+  {
+    const key = ctx.key(newNode);
+    let match = null;
+
+    if (key !== null)
+    {
+      match = keyed.get(key) ?? null;
+      if (match && sameKind(match, newNode, ctx))
+      {
+        keyed.delete(key);
+      }
+      else
+      {
+        match = null;
+      }
+    }
+    else if (cursor && sameKind(cursor, newNode, ctx))
+    {
+      match = cursor;
+    }
+
+    if (match === null)
+    { // A new node.
+      oldParent.insertBefore(newNode, cursor);
+      ctx.added(newNode);
+      continue;
+    }
+
+    if (match === cursor)
+    {
+      cursor = cursor.nextSibling;
+    }
+    else
+    { // Move it into place.
+      oldParent.insertBefore(match, cursor);
+    }
+
+    morphNode(match, newNode, ctx);
+  }
+
+  while (cursor)
+  { // Anything left over is removed.
+    const next = cursor.nextSibling;
+    if (ctx.beforeRemove(cursor) !== false)
+    {
+      cursor.remove();
+    }
+    cursor = next;
+  }
+}
+
+// Private: morph a single node.
+function morphNode(oldNode, newNode, ctx)
+{
+  if (!(oldNode instanceof Element))
+  { // Text, comments, etc.
+    if (oldNode.nodeValue !== newNode.nodeValue)
+    {
+      oldNode.nodeValue = newNode.nodeValue;
+    }
+    return;
+  }
+
+  if (ctx.beforeUpdate(oldNode, newNode) === false)
+  {
+    return;
+  }
+
+  for (const attr of Array.from(oldNode.attributes))
+  {
+    if (!newNode.hasAttributeNS(attr.namespaceURI, attr.localName))
+    {
+      oldNode.removeAttributeNode(attr);
+    }
+  }
+
+  for (const attr of newNode.attributes)
+  {
+    const ns = attr.namespaceURI;
+    if (oldNode.getAttributeNS(ns, attr.localName) !== attr.value)
+    {
+      oldNode.setAttributeNS(ns, attr.name, attr.value);
+    }
+  }
+
+  if (oldNode.localName === 'textarea' 
+    && oldNode === oldNode.ownerDocument.activeElement)
+  { // Changing the content could change the value being edited.
+    return;
+  }
+
+  morphChildren(oldNode, newNode, ctx);
+}
+
+// Private: get the selection range of a text field (if it has one).
+function getSelectionRange(el)
+{
+  try
+  {
+    if (typeof el.selectionStart === N)
+    {
+      return [el.selectionStart, el.selectionEnd, el.selectionDirection];
+    }
+  }
+  catch (err)
+  { // Some input types throw errors when accessing the selection.
+  }
+  return null;
+}
+
+// Private: restore the selection range of a text field.
+function setSelectionRange(el, range)
+{
+  if (range)
+  {
+    try
+    {
+      el.setSelectionRange(...range);
+    }
+    catch (err)
+    { // Not supported by this element.
+    }
+  }
+}
+
+// Private: get the target elements for the DOM manipulation functions.
+function targetsOf(target)
+{
+  if (target instanceof mods.query.FindResult)
+  {
+    target = target.results;
+  }
+
+  if (target instanceof Element)
+  {
+    return [target];
+  }
+  else if (Array.isArray(target) || U.isContainer(target))
+  {
+    return Array.from(target).filter(el => el instanceof Element);
+  }
+
+  console.error({target});
+  throw new TypeError("target must be an Element, collection, or FindResult");
+}
+
+// Private: convert content (using the addContent() rules) into nodes;
+// any HTML is parsed as if it were the content of the context node.
+function nodesOf(content, context, opts={})
+{
+  if (content instanceof mods.query.FindResult)
+  {
+    content = content.results;
+  }
+  else if (U.isContainer(content))
+  { // Live collections would change as we move the nodes.
+    content = Array.from(content);
+  }
+
+  const holder = holderFor(context);
+  logErrors(addContent(holder, content, POS.LAST, opts), content);
+  return Array.from(holder.childNodes);
+}
+
+// Private: log errors from a promise returned by addContent() when
+// there's no way to pass it on to the caller.
+function logErrors(done, content)
+{
+  done?.catch(err => console.error({err, content}));
+}
+
+// Private: an element to build content for a context node in.
+function holderFor(context)
+{ // A template can hold any HTML content, but not SVG or MathML.
+  return (U.contentNamespace(context) === U.NS.HTML)
+    ? document.createElement('template')
+    : document.createElementNS(context.namespaceURI, context.localName);
+}
+
+// Private: call fn(el, nodes) for each target, cloning the nodes for
+// all but the last target (which gets the original nodes).
+// The context(el) function returns the context node for nodesOf().
+function eachTarget(target, content, context, fn)
+{
+  const targets = targetsOf(target);
+  const nodes = nodesOf(content, context(targets[0]));
+  const last = targets.length - 1;
+  targets.forEach((el, i) =>
+  {
+    fn(el, (i < last ? nodes.map(node => node.cloneNode(true)) : nodes));
+  });
+  return targets;
+}
+
+// Private: build a wrapper element; returns [wrapper, innermost].
+function wrapperOf(wrapper, clone, context)
+{
+  let el;
+  if (typeof wrapper === S && VALID_TAG.test(wrapper))
+  {
+    el = U.createElement(wrapper, {context});
+  }
+  else
+  {
+    el = nodesOf(wrapper, context).find(node => node instanceof Element);
+    if (!el)
+    {
+      console.error({wrapper});
+      throw new TypeError("wrapper must be (or contain) an Element");
+    }
+    if (clone) el = el.cloneNode(true);
+  }
+
+  let inner = el;
+  while (inner.firstElementChild)
+  {
+    inner = inner.firstElementChild;
+  }
+
+  return [el, inner];
+}
+
+/**
+ * Replace elements with new content.
+ * 
+ * @param {(Element|Iterable|object)} target - The element(s) to replace.
+ * 
+ * May be an `Element`, an `Array`, `NodeList` or `HTMLCollection` of
+ * elements, or a `query.FindResult` object.
+ * 
+ * @param {*} content - The new content.
+ * 
+ * Supports all of the values supported by `addContent()`, as well as
+ * `query.FindResult` objects. If there is more than one target, each
+ * one (except the last) will be replaced with a copy of the content.
+ * Any errors from async content will be logged to the console.
+ * 
+ * @returns {Element[]} The elements that were replaced.
+ * @alias module:@lumjs/web-core/content.replaceWith
+ */
+function replaceWith(target, content)
+{
+  return eachTarget(target, content, el => el?.parentNode, 
+    (el, nodes) => el.replaceWith(...nodes));
+}
+
+/**
+ * Replace the children of elements with new content.
+ * 
+ * @param {(Element|Iterable|object)} target - The element(s) to update.
+ * See {@link module:@lumjs/web-core/content.replaceWith} for details.
+ * @param {*} content - The new content.
+ * See {@link module:@lumjs/web-core/content.replaceWith} for details.
+ * 
+ * @returns {Element[]} The target elements.
+ * @alias module:@lumjs/web-core/content.replaceChildren
+ */
+function replaceChildren(target, content)
+{
+  return eachTarget(target, content, el => el, 
+    (el, nodes) => el.replaceChildren(...nodes));
+}
+
+/**
+ * Wrap each element in a new wrapper element.
+ * 
+ * @param {(Element|Iterable|object)} target - The element(s) to wrap.
+ * See {@link module:@lumjs/web-core/content.replaceWith} for details.
+ * 
+ * @param {*} wrapper - The wrapper element.
+ * 
+ * Supports all of the values supported by `addContent()`; a tag name
+ * string will create a new element, and an HTML string may have nested
+ * elements, in which case the target will be added to the innermost
+ * element (following the first child element at each level).
+ * 
+ * If there is more than one target, each one (except the last) will
+ * be wrapped in a copy of the wrapper.
+ * 
+ * @returns {Element[]} The elements that were wrapped.
+ * @alias module:@lumjs/web-core/content.wrap
+ * 
+ * @example
+ * 
+ *   wrap(find('img'), '<figure class="photo"></figure>');
+ * 
+ */
+function wrap(target, wrapper)
+{
+  const targets = targetsOf(target);
+  const last = targets.length - 1;
+  targets.forEach((el, i) =>
+  {
+    const [outer, inner] = wrapperOf(wrapper, i < last, el.parentNode);
+    el.before(outer);
+    inner.append(el);
+  });
+  return targets;
+}
+
+/**
+ * Wrap all of the elements in a single wrapper element.
+ * 
+ * The wrapper is inserted where the first target element was,
+ * and all of the targets are moved into it (in order).
+ * 
+ * @param {(Element|Iterable|object)} target - The element(s) to wrap.
+ * See {@link module:@lumjs/web-core/content.replaceWith} for details.
+ * @param {*} wrapper - The wrapper element.
+ * See {@link module:@lumjs/web-core/content.wrap} for details.
+ * 
+ * @returns {?Element} The wrapper element, or `null` if there were
+ * no target elements.
+ * 
+ * @alias module:@lumjs/web-core/content.wrapAll
+ */
+function wrapAll(target, wrapper)
+{
+  const targets = targetsOf(target);
+  if (targets.length === 0) return null;
+
+  const [outer, inner] = wrapperOf(wrapper, false, targets[0].parentNode);
+  targets[0].before(outer);
+  inner.append(...targets);
+  return outer;
+}
+
+/**
+ * Wrap the children of each element in a new wrapper element.
+ * 
+ * @param {(Element|Iterable|object)} target - The element(s) to update.
+ * See {@link module:@lumjs/web-core/content.replaceWith} for details.
+ * @param {*} wrapper - The wrapper element.
+ * See {@link module:@lumjs/web-core/content.wrap} for details.
+ * 
+ * @returns {Element[]} The target elements.
+ * @alias module:@lumjs/web-core/content.wrapInner
+ */
+function wrapInner(target, wrapper)
+{
+  const targets = targetsOf(target);
+  const last = targets.length - 1;
+  targets.forEach((el, i) =>
+  {
+    const [outer, inner] = wrapperOf(wrapper, i < last, el);
+    inner.append(...el.childNodes);
+    el.append(outer);
+  });
+  return targets;
+}
+
+/**
+ * Remove the parent elements of elements, leaving the elements
+ * (and any siblings) in their place.
+ * 
+ * @param {(Element|Iterable|object)} target - The element(s) to unwrap.
+ * See {@link module:@lumjs/web-core/content.replaceWith} for details.
+ * 
+ * @param {string} [selector] Only remove parents matching this selector.
+ * 
+ * @returns {Element[]} The parent elements that were removed.
+ * @alias module:@lumjs/web-core/content.unwrap
+ */
+function unwrap(target, selector)
+{
+  const parents = [];
+  for (const el of targetsOf(target))
+  {
+    const parent = el.parentElement;
+    if (parent && !parents.includes(parent) 
+      && parent !== el.ownerDocument.documentElement
+      && parent !== el.ownerDocument.body
+      && (selector === undefined || parent.matches(selector)))
+    {
+      parents.push(parent);
+    }
+  }
+
+  for (const parent of parents)
+  {
+    parent.replaceWith(...parent.childNodes);
+  }
+
+  return parents;
+}
+
+/**
+ * Remove elements from the document.
+ * 
+ * @param {(Element|Iterable|object)} target - The element(s) to remove.
+ * See {@link module:@lumjs/web-core/content.replaceWith} for details.
+ * 
+ * @param {object} [opts] Options
+ * 
+ * @param {boolean} [opts.listeners=false] Remove event handlers?
+ * 
+ * If `true`, any event handlers assigned with `events.onEvent()`
+ * (or any of the functions that use it) to the elements or any of
+ * their descendants will be removed as well.
+ * 
+ * @returns {Element[]} The elements that were removed.
+ * @alias module:@lumjs/web-core/content.remove
+ */
+function remove(target, opts={})
+{
+  const targets = targetsOf(target);
+  for (const el of targets)
+  {
+    if (opts.listeners)
+    {
+      removeListeners(el, {deep: true});
+    }
+    el.remove();
+  }
+  return targets;
+}
+
+// Private: the original positions of detached elements.
+const detached = new WeakMap();
+
+/**
+ * Remove elements from the document, remembering where they were
+ * so they may be put back later using `reattach()`.
+ * 
+ * Event handlers and any other state are left as is.
+ * 
+ * @param {(Element|Iterable|object)} target - The element(s) to detach.
+ * See {@link module:@lumjs/web-core/content.replaceWith} for details.
+ * 
+ * @returns {Element[]} The elements that were detached.
+ * @alias module:@lumjs/web-core/content.detach
+ */
+function detach(target)
+{
+  const targets = targetsOf(target);
+  for (const el of targets)
+  {
+    if (el.parentNode)
+    {
+      detached.set(el, {parent: el.parentNode, next: el.nextSibling});
+      el.remove();
+    }
+  }
+  return targets;
+}
+
+/**
+ * Put detached elements back where they were.
+ * 
+ * If the next sibling of an element has since been removed from the
+ * original parent, the element will be added to the end of the parent.
+ * 
+ * @param {(Element|Iterable|object)} target - The element(s) to reattach.
+ * See {@link module:@lumjs/web-core/content.replaceWith} for details.
+ * Any elements not detached using `detach()` will be skipped.
+ * 
+ * @returns {Element[]} The elements that were reattached.
+ * @alias module:@lumjs/web-core/content.reattach
+ */
+function reattach(target)
+{
+  const reattached = [];
+  // In reverse, so siblings detached together are restored in order.
+  for (const el of targetsOf(target).reverse())
+  {
+    const saved = detached.get(el);
+    if (!saved) continue;
+
+    const {parent, next} = saved;
+    if (next && next.parentNode === parent)
+    {
+      parent.insertBefore(el, next);
+    }
+    else
+    {
+      parent.append(el);
+    }
+
+    detached.delete(el);
+    reattached.unshift(el);
+  }
+  return reattached;
+}
+
+/**
+ * Move elements to a new position in the document.
+ * 
+ * @param {(Element|Iterable|object)} target - The element(s) to move.
+ * See {@link module:@lumjs/web-core/content.replaceWith} for details.
+ * 
+ * @param {(Element|Iterable|object)} dest - The element to move them to.
+ * 
+ * If this is a collection or `FindResult`, the first element is used.
+ * 
+ * @param {string} [pos="beforeend"] Position relative to `dest`.
+ * See {@link module:@lumjs/web-core/content.POS} for a list.
+ * 
+ * The elements will stay in the same order regardless of the position.
+ * 
+ * @returns {Element[]} The elements that were moved.
+ * 
+ * @throws {TypeError} If `dest` is not (or does not contain) an `Element`.
+ * @alias module:@lumjs/web-core/content.moveTo
+ */
+function moveTo(target, dest, pos=POS.LAST)
+{
+  const targets = targetsOf(target);
+  const destElem = targetsOf(dest)[0];
+  if (!destElem)
+  {
+    console.error({target, dest, pos});
+    throw new TypeError("dest must be an Element");
+  }
+
+  const frag = destElem.ownerDocument.createDocumentFragment();
+  frag.append(...targets);
+  insertNode(destElem, frag, pos);
+  return targets;
+}
+
+/**
+ * An instance of a template created by `fromTemplate()`.
+ * 
+ * @typedef {object} module:@lumjs/web-core/content~TemplateInstance
+ * 
+ * @prop {DocumentFragment} fragment - The rendered content.
+ * 
+ * Add this to the document (e.g. using `addContent()`). The bindings
+ * keep working after the nodes have been moved out of the fragment.
+ * 
+ * @prop {object} data - The current data object.
+ * 
+ * @prop {function} update - Update the content with new data.
+ * 
+ * Pass a new data object, or nothing to re-render using the current
+ * `data` (if it has been modified). Only the bound text and attributes
+ * that have actually changed are updated, and the `data-each` and
+ * `data-if` blocks are updated in place.
+ * Returns the instance.
+ */
+
+// Private: the placeholders in template text and attributes.
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * Create content from a `<template>` element, with data binding.
+ * 
+ * The following may be used in the template content:
+ * 
+ * - `{{path}}` placeholders in text or attribute values, which are
+ *   replaced with values from the data object. The `path` may use dots
+ *   for nested properties (e.g. `{{user.name}}`). If an attribute value
+ *   is _only_ a placeholder, and the value is `true` or `false` (or
+ *   `null`/`undefined`), the attribute will be added or removed.
+ * - A `data-each="path"` attribute will repeat the element for each
+ *   item in the array at the path. Inside the element, paths are
+ *   looked up in the item first, then in the outer data; and
+ *   `{{.}}` (or `{{this}}`) is the item itself, `{{.path}}` is looked
+ *   up in the item only, and `{{@index}}` is the index of the item.
+ * - A `data-if="path"` attribute will only add the element if the value
+ *   at the path is truthy (or falsey if the path starts with `!`).
+ * - Named `<slot name="name">` elements are replaced with content from
+ *   `opts.slots`; any that are not will be replaced with their own
+ *   children (the fallback content). A `<slot>` without a name uses
+ *   the name `default`. Only slots that are rendered when the template
+ *   is first instantiated are filled.
+ * 
+ * @param {(HTMLTemplateElement|string)} template - The template.
+ * 
+ * If this is a `string` it is a selector to find the template with.
+ * 
+ * @param {object} [data] The data object.
+ * 
+ * @param {object} [opts] Options
+ * 
+ * @param {object} [opts.slots] Content for named slots.
+ * 
+ * Each key is a slot name, and the value may be anything supported by
+ * `addContent()`; as well as `query.FindResult` objects. If a slot is
+ * in the template more than once, copies of the content will be used.
+ * 
+ * @returns {module:@lumjs/web-core/content~TemplateInstance}
+ * 
+ * @throws {TypeError} If `template` is not (or does not find) a
+ * `<template>` element.
+ * 
+ * @alias module:@lumjs/web-core/content.fromTemplate
+ * 
+ * @example
+ * 
+ *   // <template id="user-tmpl">
+ *   //   <h2 class="{{role}}">{{name}}</h2>
+ *   //   <ul><li data-each="tags">{{@index}}: {{.}}</li></ul>
+ *   //   <p data-if="!tags.length">No tags</p>
+ *   //   <slot name="actions"></slot>
+ *   // </template>
+ * 
+ *   const user = fromTemplate('#user-tmpl', {name: 'Bob', role: 'admin', tags: []},
+ *     {slots: {actions: '<button>Edit</button>'}});
+ *   addContent(container, user.fragment);
+ *   user.update({name: 'Bob', role: 'user', tags: ['a', 'b']});
+ * 
+ */
+function fromTemplate(template, data={}, opts={})
+{
+  if (typeof template === S)
+  {
+    template = document.querySelector(template);
+  }
+
+  if (!(template instanceof HTMLTemplateElement))
+  {
+    console.error({template, data, opts});
+    throw new TypeError("template must be a <template> element or selector");
+  }
+
+  const fragment = document.importNode(template.content, true);
+  const bindings = [];
+  bindChildren(fragment, bindings);
+
+  const inst =
+  {
+    fragment,
+    data,
+    update(newData)
+    {
+      if (newData !== undefined)
+      {
+        this.data = newData;
+      }
+      const scope = {data: this.data, parent: null};
+      for (const binding of bindings)
+      {
+        binding(scope);
+      }
+      return this;
+    },
+  }
+
+  inst.update();
+
+  const slots = opts.slots ?? {};
+  for (const slot of Array.from(fragment.querySelectorAll('slot')))
+  {
+    const name = slot.getAttribute('name') || 'default';
+    if (name in slots) continue;
+    slot.replaceWith(...slot.childNodes);
+  }
+  for (const name in slots)
+  {
+    const sel = (name === 'default')
+      ? 'slot:not([name]), slot[name=""], slot[name="default"]'
+      : `slot[name="${U.cssEscape(name)}"]`;
+    const found = fragment.querySelectorAll(sel);
+    if (found.length)
+    {
+      replaceWith(found, slots[name]);
+    }
+  }
+
+  return inst;
+}
+
+// Private: find the bindings in the children of a node.
+function bindChildren(parent, bindings)
+{
+  for (const child of Array.from(parent.childNodes))
+  {
+    if (child.nodeType === Node.TEXT_NODE)
+    {
+      const parts = templateParts(child.data);
+      if (parts)
+      {
+        bindings.push(bindText(child, parts));
+      }
+    }
+    else if (child instanceof Element)
+    {
+      if (child.hasAttribute('data-each'))
+      {
+        bindings.push(bindEach(child));
+      }
+      else if (child.hasAttribute('data-if'))
+      {
+        bindings.push(bindIf(child));
+      }
+      else
+      {
+        bindElement(child, bindings);
+      }
+    }
+  }
+}
+
+// Private: find the bindings in an element and its children.
+function bindElement(el, bindings)
+{
+  for (const attr of Array.from(el.attributes))
+  {
+    const parts = templateParts(attr.value);
+    if (parts)
+    {
+      bindings.push(bindAttr(el, attr.name, parts));
+    }
+  }
+  bindChildren(el, bindings);
+}
+
+// Private: split a string into text and placeholder parts.
+// Returns null if the string has no placeholders.
+function templateParts(string)
+{
+  const parts = [];
+  let last = 0;
+  for (const match of string.matchAll(PLACEHOLDER))
+  {
+    if (match.index > last)
+    {
+      parts.push(string.slice(last, match.index));
+    }
+    parts.push({path: match[1]});
+    last = match.index + match[0].length;
+  }
+
+  if (parts.length === 0) return null;
+
+  if (last < string.length)
+  {
+    parts.push(string.slice(last));
+  }
+  return parts;
+}
+
+// Private: look up a path in a template scope.
+function scopeValue(scope, path)
+{
+  if (path === '.' || path === 'this')
+  {
+    return scope.data;
+  }
+  else if (path === '@index')
+  {
+    for (let s = scope; s; s = s.parent)
+    {
+      if (s.index !== undefined) return s.index;
+    }
+    return undefined;
+  }
+
+  const keys = path.split('.');
+  let value;
+  if (keys[0] === '')
+  { // A path relative to the current item only.
+    keys.shift();
+    value = scope.data;
+  }
+  else for (let s = scope; s; s = s.parent)
+  {
+    if (s.data !== null && s.data !== undefined && keys[0] in Object(s.data))
+    {
+      value = s.data;
+      break;
+    }
+  }
+
+  for (const key of keys)
+  {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+// Private: render template parts into a string.
+function renderParts(parts, scope)
+{
+  let string = '';
+  for (const part of parts)
+  {
+    if (typeof part === S)
+    {
+      string += part;
+    }
+    else
+    {
+      const value = scopeValue(scope, part.path);
+      if (value !== null && value !== undefined)
+      {
+        string += value;
+      }
+    }
+  }
+  return string;
+}
+
+// Private: a binding for a text node.
+function bindText(node, parts)
+{
+  return function(scope)
+  {
+    const text = renderParts(parts, scope);
+    if (node.data !== text)
+    {
+      node.data = text;
+    }
+  }
+}
+
+// Private: a binding for an attribute.
+function bindAttr(el, name, parts)
+{
+  const single = (parts.length === 1) ? parts[0].path : null;
+  return function(scope)
+  {
+    if (single !== null)
+    {
+      const value = scopeValue(scope, single);
+      if (value === false || value === null || value === undefined)
+      {
+        el.removeAttribute(name);
+        return;
+      }
+      else if (value === true)
+      {
+        if (el.getAttribute(name) !== '') el.setAttribute(name, '');
+        return;
+      }
+    }
+
+    const value = renderParts(parts, scope);
+    if (el.getAttribute(name) !== value)
+    {
+      el.setAttribute(name, value);
+    }
+  }
+}
+
+// Private: a binding for a data-if element.
+function bindIf(el)
+{
+  let path = el.getAttribute('data-if').trim();
+  el.removeAttribute('data-if');
+
+  const negate = path.startsWith('!');
+  if (negate) path = path.slice(1).trim();
+
+  const anchor = document.createComment('data-if');
+  el.replaceWith(anchor);
+
+  const bindings = [];
+  bindElement(el, bindings);
+
+  return function(scope)
+  {
+    const show = negate 
+      ? !scopeValue(scope, path) 
+      : !!scopeValue(scope, path);
+
+    if (show)
+    {
+      for (const binding of bindings)
+      {
+        binding(scope);
+      }
+      if (anchor.nextSibling !== el)
+      {
+        anchor.after(el);
+      }
+    }
+    else
+    {
+      el.remove();
+    }
+  }
+}
+
+// Private: a binding for a data-each element.
+function bindEach(el)
+{
+  const path = el.getAttribute('data-each').trim();
+  el.removeAttribute('data-each');
+
+  const end = document.createComment('data-each');
+  el.replaceWith(end);
+
+  // Each item is {start, bindings} where start is a comment node;
+  // the item's nodes are everything up to the next item's start node.
+  const items = [];
+
+  return function(scope)
+  {
+    const list = scopeValue(scope, path);
+    const values = (list === null || list === undefined || typeof list === S)
+      ? [] : Array.from(list);
+
+    while (items.length > values.length)
+    { // Remove items no longer needed.
+      const item = items.pop();
+      let node = item.start;
+      while (node && node !== end)
+      {
+        const next = node.nextSibling;
+        node.remove();
+        node = next;
+      }
+    }
+
+    values.forEach((data, index) =>
+    {
+      const itemScope = {data, index, parent: scope};
+      let item = items[index];
+      if (!item)
+      { // A new item.
+        const frag = document.createDocumentFragment();
+        const start = document.createComment('data-each-item');
+        frag.append(start, el.cloneNode(true));
+        item = {start, bindings: []};
+        bindChildren(frag, item.bindings);
+        items.push(item);
+        for (const binding of item.bindings)
+        {
+          binding(itemScope);
+        }
+        end.before(frag);
+      }
+      else
+      {
+        for (const binding of item.bindings)
+        {
+          binding(itemScope);
+        }
+      }
+    });
+  }
+}
+
 module.exports =
 {
-  VALID_TAG, POS, addContent, addHTML, addText,
+  VALID_TAG, POS, addContent, addAsync, addHTML, addText, html, htmlWith,
+  escapeHTML, h, morph,
+  replaceWith, replaceChildren, wrap, wrapAll, wrapInner, unwrap,
+  remove, detach, reattach, moveTo, fromTemplate,
 }
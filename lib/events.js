@@ -14,6 +14,9 @@ const SS = 1;
 const SF = 2;
 const OO = ['capture','once','passive','signal'];
 
+// Private: registrations from onEvent() for each target.
+const tracked = new WeakMap();
+
 // Private function to ensure event options are assigned
 function eventOptions(opts)
 {
@@ -387,6 +390,15 @@ function onEvent()
     }
   }
 
+  const eopts = eventOptions(opts);
+  const untrack = () => tracked.get(opts.target)?.delete(opts);
+
+  if (eopts.once)
+  { // Added first, so it runs before (and whenever) the listener does.
+    opts.target.addEventListener(opts.event, untrack,
+      {capture: eopts.capture, once: true, signal: eopts.signal});
+  }
+
   if (opts.selector || opts.validate)
   { // Something requiring delegation is required.
     opts.listener = opts.delegated = onDelegatedEvent(opts);
@@ -410,13 +422,86 @@ function onEvent()
         opts.listener, 
         eventOptions(opts)
       );
+      tracked.get(opts.target)?.delete(opts);
     }
   }
 
+  if (eopts.signal?.aborted)
+  { // The listener wasn't added, so there's nothing to track.
+    return opts;
+  }
+
+  eopts.signal?.addEventListener('abort', untrack, {once: true});
+
+  if (tracked.has(opts.target))
+  {
+    tracked.get(opts.target).add(opts);
+  }
+  else
+  {
+    tracked.set(opts.target, new Set([opts]));
+  }
+
   return opts;
 
 } // onEvent()
 
+/**
+ * Get the event handlers assigned to an element with `onEvent()`.
+ * 
+ * This includes any assigned using functions that use `onEvent()`,
+ * such as `onEvents()`, `query.FindResult.on()`, or the `content.html`
+ * and `content.h()` functions.
+ * 
+ * Handlers that have been removed because of their `once` or `signal`
+ * options are not included.
+ * 
+ * @param {Element} target - The element to get the handlers for.
+ * @returns {object[]} The registration objects returned by `onEvent()`.
+ * @alias module:@lumjs/web-core/events.getListeners
+ */
+function getListeners(target)
+{
+  return Array.from(tracked.get(target) ?? []);
+}
+
+/**
+ * Remove all event handlers assigned to an element with `onEvent()`.
+ * 
+ * See `getListeners()` for details on which handlers are included.
+ * 
+ * @param {Element} target - The element to remove the handlers from.
+ * @param {object} [opts] Options
+ * @param {boolean} [opts.deep=false] Include all descendant elements?
+ * @returns {number} The number of handlers removed.
+ * @alias module:@lumjs/web-core/events.removeListeners
+ */
+function removeListeners(target, opts={})
+{
+  const targets = [target];
+  if (opts.deep)
+  {
+    targets.push(...target.querySelectorAll('*'));
+  }
+
+  let count = 0;
+  for (const el of targets)
+  {
+    const regs = tracked.get(el);
+    if (!regs) continue;
+
+    for (const reg of regs)
+    {
+      el.removeEventListener(reg.event, reg.listener, eventOptions(reg));
+      count++;
+    }
+
+    tracked.delete(el);
+  }
+
+  return count;
+}
+
 /**
  * Assign event handlers to multiple Elements and multiple events.
  * 
@@ -551,6 +636,7 @@ function onEvents__off()
 exports = module.exports =
 {
   addDelegatedEvent, isListener, onDelegatedEvent, onEvent, onEvents,
+  getListeners, removeListeners,
 }
 
 /**
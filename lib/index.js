@@ -17,6 +17,12 @@ const utils = require('./utils');
  */
 exports = module.exports =
 {
+  /**
+   * Accessibility (ARIA) helpers
+   * @alias module:@lumjs/web-core.aria
+   * @see module:@lumjs/web-core/aria
+   */
+  aria:    require('./aria'),
   /**
    * Functions for adding content to elements
    * @alias module:@lumjs/web-core.content
@@ -41,6 +47,30 @@ exports = module.exports =
    * @see module:@lumjs/web-core/query
    */
   query:   require('./query'),
+  /**
+   * An allow-list based HTML sanitizer
+   * @alias module:@lumjs/web-core.sanitize
+   * @see module:@lumjs/web-core/sanitize
+   */
+  sanitize: require('./sanitize'),
+  /**
+   * A frame-synchronised scheduler for DOM reads and writes
+   * @alias module:@lumjs/web-core.scheduler
+   * @see module:@lumjs/web-core/scheduler
+   */
+  scheduler: require('./scheduler'),
+  /**
+   * DOM traversal helpers
+   * @alias module:@lumjs/web-core.traverse
+   * @see module:@lumjs/web-core/traverse
+   */
+  traverse: require('./traverse'),
+  /**
+   * Trusted Types integration
+   * @alias module:@lumjs/web-core.trusted
+   * @see module:@lumjs/web-core/trusted
+   */
+  trusted: require('./trusted'),
   /**
    * UI related functions
    * @alias module:@lumjs/web-core.ui
@@ -53,6 +83,12 @@ exports = module.exports =
    * @see module:@lumjs/web-core/utils
    */
   utils,
+  /**
+   * XPath helpers
+   * @alias module:@lumjs/web-core.xpath
+   * @see module:@lumjs/web-core/xpath
+   */
+  xpath:   require('./xpath'),
 
   whenReady: utils.whenDOMReady,
 }
@@ -79,6 +115,7 @@ lazy(exports, 'listcompiler', () => require('./listcompiler'));
  * @borrows module:@lumjs/web-core/content.addContent as add
  * @borrows module:@lumjs/web-core/parser.elem as elem
  * @borrows module:@lumjs/web-core/utils.empty as empty
+ * @borrows module:@lumjs/web-core/content.h as h
  * @borrows module:@lumjs/web-core/query.find as find
  * @borrows module:@lumjs/web-core/events.onEvents as listen
  * @borrows module:@lumjs/web-core/utils.getNested as nested
@@ -95,6 +132,7 @@ const shortcuts =
   elem:   exports.parser.elem,
   empty:  utils.empty,
   find:   exports.query.find,
+  h:      exports.content.h,
   listen: exports.events.onEvents,
   nested: utils.getNested,
   on:     exports.events.onEvent,
@@ -5,10 +5,17 @@
 "use strict";
 
 const core = require('@lumjs/core');
-const {F} = core.types;
+const {S,F,N,isObj,def,lazy} = core.types;
 
 const U = require('./utils');
-const {VALID_TAG} = U;
+const {VALID_TAG,NS} = U;
+const {getPolicy,sanitizeNode} = require('./sanitize');
+const {isTrustedHTML,getSanitizer,toHTML} = require('./trusted');
+
+// Sub-modules, lazy-loaded to avoid circular requires.
+const mods = {};
+lazy(mods, 'content', () => require('./content'));
+lazy(mods, 'query', () => require('./query'));
 
 exports.VALID_TAG = VALID_TAG;
 
@@ -38,7 +45,10 @@ exports.MIME_TYPES = MIME_TYPES;
 /**
  * Parse HTML source.
  * 
- * @param {string} text - The HTML source to parse.
+ * @param {(string|TrustedHTML)} text - The HTML source to parse.
+ * 
+ * Strings will be passed through the registered Trusted Types policy
+ * (if there is one); see {@link module:@lumjs/web-core/trusted.toHTML}.
  * @param {object} [opts] Options
  * 
  * @param {boolean} [opts.raw=false] Return full HTML document?
@@ -63,6 +73,40 @@ exports.MIME_TYPES = MIME_TYPES;
  * The `opts.multiple` option will use `body.childNodes` rather
  * than the default of using `body.children` (only `Element` children.)
  * 
+ * @param {(boolean|object)} [opts.sanitize] Sanitize the HTML?
+ * 
+ * May be `true` to use the default policy, `false` to disable sanitizing,
+ * or a custom policy `object`. If not specified, the HTML will only be
+ * sanitized if it has been enabled by default.
+ * See {@link module:@lumjs/web-core/sanitize.getPolicy} for details.
+ * 
+ * The contents of the `<head/>` and `<body/>` elements are sanitized
+ * before anything is adopted into the global `document`.
+ * 
+ * @param {string} [opts.ns] Namespace to parse the content in.
+ * 
+ * May be `"svg"` or `"math"` (or the full namespace URI) to parse
+ * the source as the content of an `<svg/>` or `<math/>` element;
+ * so a snippet like `<circle r="5"/>` becomes an `SVGCircleElement`
+ * instead of an unknown HTML element. The `<svg/>` or `<math/>` element
+ * is used in place of the `<body/>` for the other options, and will be
+ * the only child of the `<body/>` in the document returned by `opts.raw`.
+ * 
+ * The default is `"html"`, which parses the source as a document.
+ * 
+ * @param {(Element|string)} [opts.context] Parse as the content of this.
+ * 
+ * An element (or a tag name) to parse the source as the content of,
+ * which will be used in place of the `<body/>` for the other options.
+ * Snippets that are only valid in certain elements (like `<tr>`, `<li>`,
+ * `<option>`, or `<col>`) will be kept as is, instead of being dropped
+ * or restructured by the HTML parser; e.g. `{context: 'tbody'}` for
+ * table rows. The special value `"template"` allows any content.
+ * 
+ * If an `Element` is passed, a copy of it (without any children) is used,
+ * so this is safe to use with an element in the current document.
+ * A tag name will use the `opts.ns` namespace if specified.
+ * 
  * @returns {mixed} Output depends on input and options:
  * 
  * - If `options.raw` is `true` this will return an `HTMLDocument` object.
@@ -70,13 +114,66 @@ exports.MIME_TYPES = MIME_TYPES;
  * - If the `<body/>` has at least one child, this will return an `Element`.
  * - If none of the above match, this will return `null`.
  * 
+ * @throws {TypeError} If `opts.ns` is not a supported namespace,
+ * or `opts.context` is not a valid value.
  * @alias module:@lumjs/web-core/parser.parseHTML
  */
 function parseHTML(text, opts={})
 {
-  const parser = new DOMParser();
-  const html = parser.parseFromString(text, MIME_TYPES.HTML);
-  const body = html.body;
+  const ns = U.namespaceURI(opts.ns ?? 'html');
+  let context = opts.context ?? null;
+
+  if (context === null && ns !== NS.HTML)
+  { // Parse it as the content of a foreign root element.
+    if (ns !== NS.SVG && ns !== NS.MATHML)
+    {
+      console.error({text, opts});
+      throw new TypeError("Unsupported namespace");
+    }
+    context = (ns === NS.SVG ? 'svg' : 'math');
+  }
+
+  let html, body;
+
+  if (context === null)
+  { // Parse it as a full document.
+    const parser = new DOMParser();
+    html = parser.parseFromString(toHTML(text), MIME_TYPES.HTML);
+    body = html.body;
+  }
+  else
+  { // Parse it as a fragment in an inert document.
+    html = document.implementation.createHTMLDocument('');
+
+    if (typeof context === S)
+    {
+      body = U.createElement(context, {ns: opts.ns, document: html});
+    }
+    else if (context instanceof Element)
+    { // Only the element itself (and its attributes) are copied.
+      body = html.importNode(context, false);
+    }
+    else
+    {
+      console.error({text, opts});
+      throw new TypeError("Invalid context");
+    }
+
+    html.body.append(body);
+    body.innerHTML = toHTML(text);
+
+    if (body.content instanceof DocumentFragment)
+    { // A template element.
+      body = body.content;
+    }
+  }
+
+  const policy = getPolicy(opts.sanitize);
+  if (policy)
+  { // Sanitize the parsed content.
+    if (html.head) sanitizeNode(html.head, policy);
+    if (body) sanitizeNode(body, policy);
+  }
 
   if (opts.raw || !body)
   { // Return the raw parsed HTML document.
@@ -114,19 +211,539 @@ function parseHTML(text, opts={})
 
 exports.parseHTML = parseHTML;
 
+/**
+ * An incremental HTML parser, for source that arrives in chunks.
+ * 
+ * Each top-level node is returned as soon as it is complete, which is
+ * known once the next top-level node starts (or the parser is closed).
+ * 
+ * Where supported, the chunks are written to an inert document using
+ * `document.write()`, so the browser parses each chunk only once.
+ * In environments where `write()` doesn't parse incrementally (like
+ * jsdom), all of the source received so far is parsed again for each
+ * chunk instead.
+ * 
+ * If a Trusted Types policy has been registered, the chunks are passed
+ * through it with a hint of `"html-stream"`. As they are only partial
+ * markup, the policy can't sanitize them; if it was created by
+ * {@link module:@lumjs/web-core/trusted.createPolicy} with sanitizing
+ * enabled, its sanitizer rules are applied to the parsed nodes instead
+ * (unless the `sanitize` option is specified).
+ * 
+ * @alias module:@lumjs/web-core/parser.HTMLStreamParser
+ * 
+ * @example
+ * 
+ *   const stream = new HTMLStreamParser({context: list});
+ *   list.append(...stream.write('<li>one</li><li>tw'));  // One item.
+ *   list.append(...stream.close());                      // The rest.
+ * 
+ */
+class HTMLStreamParser
+{
+  /**
+   * Create a new HTMLStreamParser instance.
+   * 
+   * @param {object} [opts] Options
+   * 
+   * @param {(Element|string)} [opts.context] Parse as the content of this.
+   * 
+   * An element (or a tag name) the content will be added to. Only its
+   * namespace matters: content for HTML elements is parsed as the content
+   * of a `<template>` (which allows any content, such as table rows or
+   * list items), and content for SVG or MathML elements (see
+   * {@link module:@lumjs/web-core/utils.contentNamespace}) is parsed
+   * as the content of an `<svg>` or `<math>` element.
+   * 
+   * @param {(boolean|object)} [opts.sanitize] Sanitize the HTML?
+   * See `parseHTML()` for details. If not specified, the rules of the
+   * registered Trusted Types policy will be used (if it has any).
+   */
+  constructor(opts={})
+  {
+    let ns = NS.HTML;
+    if (opts.context instanceof Element)
+    {
+      ns = U.contentNamespace(opts.context);
+    }
+    else if (typeof opts.context === S)
+    {
+      ns = U.contentNamespace(U.createElement(opts.context));
+    }
+
+    const tag = (ns === NS.SVG ? 'svg' 
+      : (ns === NS.MATHML ? 'math' : 'template'));
+    const policy = (opts.sanitize === undefined
+      ? (getPolicy() ?? getSanitizer()) : getPolicy(opts.sanitize));
+    const state = {tag, policy};
+
+    if (streamingWrite())
+    { // Parse the chunks as they are written.
+      state.doc = document.implementation.createHTMLDocument('');
+      state.doc.open();
+      state.doc.write(toHTML(`<!DOCTYPE html><body><${tag}>`, STREAM_HINT));
+      const root = state.doc.body.firstChild;
+      state.container = (tag === 'template' ? root.content : root);
+    }
+    else
+    { // Parse all of the source each time.
+      state.buffer = '';
+      state.taken = 0;
+      state.parsed = [];
+    }
+
+    def(this, STREAM, {value: state});
+  }
+
+  /**
+   * Parse the next chunk of the source.
+   * 
+   * @param {string} chunk - The HTML source to add.
+   * @returns {Node[]} Any top-level nodes completed by this chunk
+   * (adopted into the global `document`).
+   * @throws {Error} If the parser has been closed.
+   */
+  write(chunk)
+  {
+    const state = this[STREAM];
+    if (state.closed)
+    {
+      throw new Error("The parser has been closed");
+    }
+
+    if (state.doc)
+    {
+      state.doc.write(toHTML(String(chunk), STREAM_HINT));
+      return takeNodes(state, state.container.childNodes.length - 1);
+    }
+
+    state.buffer += chunk;
+    state.parsed = parseHTML(state.buffer,
+    {
+      context: state.tag,
+      multiple: true,
+      allNodes: true,
+      sanitize: state.policy ?? false,
+    });
+    return takeNodes(state, state.parsed.length - 1);
+  }
+
+  /**
+   * Get a copy of the content that is not complete yet.
+   * 
+   * May be used to show the content while it is still loading.
+   * 
+   * @returns {Node[]} A copy of the last top-level node if it
+   * hasn't been completed yet; or an empty array.
+   */
+  pending()
+  {
+    const state = this[STREAM];
+    const last = state.doc ? state.container.lastChild 
+      : (state.parsed.length > state.taken 
+      ? state.parsed[state.parsed.length - 1] : null);
+
+    if (state.closed || !last)
+    {
+      return [];
+    }
+
+    const frag = document.createDocumentFragment();
+    frag.append(document.importNode(last, true));
+    return cleanNodes(frag, state);
+  }
+
+  /**
+   * Finish parsing.
+   * 
+   * @returns {Node[]} Any top-level nodes that were not complete yet.
+   */
+  close()
+  {
+    const state = this[STREAM];
+    if (state.closed) return [];
+
+    let nodes;
+    if (state.doc)
+    {
+      state.doc.close();
+      nodes = takeNodes(state, state.container.childNodes.length);
+    }
+    else
+    {
+      nodes = takeNodes(state, state.parsed.length);
+    }
+
+    state.closed = true;
+    return nodes;
+  }
+}
+
+exports.HTMLStreamParser = HTMLStreamParser;
+
+// Private: the state of an HTMLStreamParser.
+const STREAM = Symbol('stream');
+
+// Private: the trusted.toHTML() hint for chunks of HTML being streamed.
+const STREAM_HINT = 'html-stream';
+
+// Private: does document.write() parse incrementally? (Not in jsdom.)
+let writeStreams = null;
+function streamingWrite()
+{
+  if (writeStreams === null)
+  {
+    try
+    {
+      const doc = document.implementation.createHTMLDocument('');
+      doc.open();
+      doc.write(toHTML('<!DOCTYPE html><body><template><i>', STREAM_HINT));
+      doc.write(toHTML('</i><b>', STREAM_HINT));
+      const nodes = doc.querySelector('template')?.content.childNodes;
+      writeStreams = (nodes?.length === 2 
+        && nodes[0].localName === 'i' && nodes[1].localName === 'b');
+      doc.close();
+    }
+    catch (err)
+    {
+      writeStreams = false;
+    }
+  }
+  return writeStreams;
+}
+
+// Private: take the completed nodes from an HTMLStreamParser.
+function takeNodes(state, count)
+{
+  if (state.doc)
+  { // Remove them from the document being written.
+    const nodes = Array.from(state.container.childNodes).slice(0, count);
+    if (nodes.length === 0) return nodes;
+    const frag = document.createDocumentFragment();
+    for (const node of nodes)
+    {
+      frag.append(document.adoptNode(node));
+    }
+    return cleanNodes(frag, state);
+  }
+
+  // The nodes before the last are the same each time it's parsed.
+  const nodes = state.parsed.slice(state.taken, count);
+  state.taken = Math.max(state.taken, count);
+  return nodes;
+}
+
+// Private: sanitize nodes from the document being written.
+function cleanNodes(frag, state)
+{
+  if (state.doc && state.policy)
+  {
+    sanitizeNode(frag, state.policy);
+  }
+  return Array.from(frag.childNodes);
+}
+
+/**
+ * Parse HTML source from a stream, as it arrives.
+ * 
+ * Each top-level node is passed on as soon as it is complete, which is
+ * known once the next top-level node starts (or the stream ends); so
+ * the content of a large document can be used before all of it has
+ * been received. The source is parsed using an `HTMLStreamParser`.
+ * 
+ * @param {(ReadableStream|AsyncIterable)} source - The HTML source.
+ * 
+ * The chunks may be strings, or bytes (like the `body` of a `fetch()`
+ * response) which will be decoded as UTF-8.
+ * 
+ * @param {object} [opts] Options
+ * 
+ * @param {function} [opts.onNode] Called with each completed node.
+ * 
+ * `(node, index) => void`; where `index` is the position of the node
+ * in the list of top-level nodes. If `opts.target` is used, the node
+ * will have been added to it already.
+ * 
+ * @param {Element} [opts.target] Add the nodes to this element.
+ * 
+ * @param {string} [opts.pos="beforeend"] Position to add the nodes at.
+ * 
+ * See {@link module:@lumjs/web-core/content.POS} for a list.
+ * The nodes will stay in order, regardless of the position used.
+ * 
+ * @param {(Element|string)} [opts.context] Parse as the content of this.
+ * 
+ * See `HTMLStreamParser` for details. The default is the element the nodes
+ * will be added into if `opts.target` is used, or `"template"` otherwise.
+ * 
+ * @param {(boolean|object)} [opts.sanitize] Sanitize the HTML?
+ * See `parseHTML()` for details.
+ * 
+ * @param {AbortSignal} [opts.signal] A signal to stop parsing.
+ * 
+ * If aborted, a `ReadableStream` will be cancelled, and the promise
+ * will be rejected with the abort reason. Any nodes completed before
+ * that are kept.
+ * 
+ * @returns {Promise<Node[]>} Resolves to all of the top-level nodes
+ * once the stream has ended.
+ * 
+ * Will be rejected with a `TypeError` if `source` is not a stream or
+ * async iterable, or `opts.target` is not an `Element`.
+ * 
+ * @alias module:@lumjs/web-core/parser.parseHTMLStream
+ * 
+ * @example
+ * 
+ *   const res = await fetch('/report.html');
+ *   await parseHTMLStream(res.body, {target: document.body});
+ * 
+ */
+async function parseHTMLStream(source, opts={})
+{
+  const target = opts.target ?? null;
+  if (target !== null && !(target instanceof Element))
+  {
+    console.error({source, opts});
+    throw new TypeError("target must be an Element");
+  }
+
+  const {POS, addContent} = mods.content;
+  const pos = opts.pos ?? POS.LAST;
+  const parent = (pos === POS.BEFORE || pos === POS.AFTER) 
+    ? target?.parentElement : target;
+
+  const stream = new HTMLStreamParser(
+  {
+    context: opts.context ?? parent ?? 'template',
+    sanitize: opts.sanitize,
+  });
+
+  const nodes = [];
+
+  const emit = (added) =>
+  {
+    if (added.length === 0) return;
+
+    if (target !== null)
+    {
+      const frag = document.createDocumentFragment();
+      frag.append(...added);
+      if (nodes.length)
+      { // After the nodes already added.
+        addContent(nodes[nodes.length-1], frag, POS.AFTER);
+      }
+      else
+      {
+        addContent(target, frag, pos);
+      }
+    }
+
+    for (const node of added)
+    {
+      nodes.push(node);
+      if (typeof opts.onNode === F)
+      {
+        opts.onNode(node, nodes.length-1);
+      }
+    }
+  }
+
+  for await (const chunk of streamText(source, opts.signal))
+  {
+    emit(stream.write(chunk));
+  }
+  emit(stream.close());
+
+  return nodes;
+}
+
+exports.parseHTMLStream = parseHTMLStream;
+
+// Private: the chunks of a stream or async iterable, decoded as text.
+async function* streamText(source, signal)
+{
+  const decoder = new TextDecoder();
+  const decode = (chunk) => ((typeof chunk === S) ? chunk 
+    : decoder.decode(chunk, {stream: true}));
+
+  if (typeof source?.getReader === F)
+  { // A ReadableStream.
+    signal?.throwIfAborted(); // Before the stream is locked.
+    const reader = source.getReader();
+    const cancel = () => reader.cancel(signal.reason).catch(() => {});
+    signal?.addEventListener('abort', cancel, {once: true});
+    try
+    {
+      while (true)
+      {
+        const {done, value} = await reader.read();
+        signal?.throwIfAborted();
+        if (done) break;
+        yield decode(value);
+      }
+    }
+    finally
+    {
+      signal?.removeEventListener('abort', cancel);
+      reader.releaseLock();
+    }
+  }
+  else if (typeof source?.[Symbol.asyncIterator] === F)
+  {
+    for await (const chunk of source)
+    {
+      signal?.throwIfAborted();
+      yield decode(chunk);
+    }
+    signal?.throwIfAborted();
+  }
+  else
+  {
+    console.error({source});
+    throw new TypeError("source must be a ReadableStream or async iterable");
+  }
+
+  const rest = decoder.decode();
+  if (rest !== '') yield rest;
+}
+
+/**
+ * An error thrown by `parseXML()` when using the `throw` option.
+ * 
+ * The details are extracted from the `<parsererror/>` element created
+ * by the browser, which uses a different format in each engine.
+ * 
+ * @alias module:@lumjs/web-core/parser.XMLParseError
+ * 
+ * @property {?number} line - The line number (starting at `1`),
+ * or `null` if it could not be determined.
+ * @property {?number} column - The column number (starting at `1`),
+ * or `null` if it could not be determined.
+ * @property {string} excerpt - The source line with the error, followed
+ * by a line with a `^` under the column; or an empty string if unknown.
+ * @property {?Element} parserError - The `<parsererror/>` element.
+ * @property {?XMLDocument} xmlDoc - The parsed XML document.
+ */
+class XMLParseError extends SyntaxError
+{
+  /**
+   * Create a new XMLParseError instance.
+   * 
+   * @param {module:@lumjs/web-core/parser~XMLDiagnostic} info - Details.
+   * @param {?Element} [parserError=null] The `parserError` property.
+   * @param {?XMLDocument} [xmlDoc=null] The `xmlDoc` property.
+   */
+  constructor(info, parserError=null, xmlDoc=null)
+  {
+    const where = (info.line === null) ? '' 
+      : ` (line ${info.line}, column ${info.column})`;
+    super(info.message + where);
+    this.name = 'XMLParseError';
+    this.line = info.line;
+    this.column = info.column;
+    this.excerpt = info.excerpt;
+    this.parserError = parserError;
+    this.xmlDoc = xmlDoc;
+  }
+}
+
+exports.XMLParseError = XMLParseError;
+
+/**
+ * A diagnostic returned by `validateXML()`.
+ * 
+ * @typedef {object} module:@lumjs/web-core/parser~XMLDiagnostic
+ * @prop {string} message - The error message (without the position).
+ * @prop {?number} line - The line number (starting at `1`), or `null`.
+ * @prop {?number} column - The column number (starting at `1`), or `null`.
+ * @prop {string} excerpt - See `XMLParseError` for details.
+ */
+
+// Private: the namespace Gecko (and jsdom) use for <parsererror/>.
+const PARSERERROR_NS = 'http://www.mozilla.org/newlayout/xml/parsererror.xml';
+
+// Private: find the <parsererror/> element in a parsed document.
+function findParserError(xmlDoc)
+{
+  for (const el of xmlDoc.getElementsByTagNameNS('*', 'parsererror'))
+  { // Don't mistake an element in the source document for an error.
+    if (el.namespaceURI === PARSERERROR_NS || el.namespaceURI === NS.HTML)
+    {
+      return el;
+    }
+  }
+  return null;
+}
+
+// Private: the patterns for the error messages of each engine.
+const ERROR_FORMATS =
+[
+  // Blink and WebKit (there may be more than one).
+  /error on line (\d+) at column (\d+):\s*(.+)/ig,
+  // jsdom
+  /^(\d+):(\d+):\s*(.+)$/mg,
+];
+
+// Private: get the diagnostics from a <parsererror/> element.
+function parserDiagnostics(parserError, source)
+{
+  const lines = String(source).split(/\r\n|\r|\n/);
+  const diag = (message, line=null, column=null) =>
+  {
+    line = (line === null) ? null : parseInt(line);
+    column = (column === null) ? null : parseInt(column);
+    let excerpt = '';
+    if (line !== null && line <= lines.length)
+    {
+      excerpt = lines[line-1] + '\n' 
+        + ' '.repeat(Math.max(column-1, 0)) + '^';
+    }
+    return {message: message.trim(), line, column, excerpt};
+  }
+
+  const text = parserError.textContent;
+  const found = [];
+
+  for (const format of ERROR_FORMATS)
+  {
+    for (const m of text.matchAll(format))
+    {
+      found.push(diag(m[3], m[1], m[2]));
+    }
+    if (found.length) return found;
+  }
+
+  // Gecko
+  const gecko = text.match(/XML Parsing Error:\s*(.+)/);
+  if (gecko)
+  {
+    const pos = text.match(/Line Number (\d+), Column (\d+)/i);
+    return [diag(gecko[1], pos?.[1] ?? null, pos?.[2] ?? null)];
+  }
+
+  // Anything else.
+  return [diag(text || 'Unknown XML parsing error')];
+}
+
 /**
  * A custom Error handler for the `parseXML()` function.
  * 
  * @typedef {function} ParseXMLErrorHandler
  * @param {Element} parserError - The <parsererror/> element.
  * @param {XMLDocument} xmlDoc - The parsed XML document.
+ * @param {module:@lumjs/web-core/parser.XMLParseError} error
+ * The error details extracted from the `parserError`.
  * @returns {mixed} What `parseXML()` should return on a parse error.
  */
 
 /**
  * Parse XML source.
  * 
- * @param {text} text - XML source to parse.
+ * @param {(string|TrustedHTML)} text - XML source to parse.
+ * 
+ * Like with `parseHTML()`, strings will be passed through the registered
+ * Trusted Types policy (if there is one), along with the MIME type.
  * @param {object} [opts] Options
  * 
  * @param {(boolean|ParseXMLErrorHandler)} [opts.onError] Error handling?
@@ -141,7 +758,12 @@ exports.parseHTML = parseHTML;
  * 
  * In any other case when a `<parsererror/>` is found, 
  * the function will report the error to the JS console, 
- * then return `null` instead of a document.
+ * then return `null` instead of a document (unless `opts.throw` is used).
+ * 
+ * @param {boolean} [opts.throw=false] Throw an error on parse errors?
+ * 
+ * If `true` (and `opts.onError` is not set), an `XMLParseError`
+ * will be thrown instead of reporting the error and returning `null`.
  * 
  * @param {string} [opts.type="application/xml"] MIME-type for DOM Parser.
  * 
@@ -155,29 +777,39 @@ exports.parseHTML = parseHTML;
  * If no parsing errors occur, this will always be an `XMLDocument`.
  * See the `opts.onError` description for other potential values.
  * 
+ * @throws {module:@lumjs/web-core/parser.XMLParseError} If there was
+ * a parse error, and `opts.throw` was `true`.
+ * 
  * @alias module:@lumjs/web-core/parser.parseXML
  */
 function parseXML(text, opts={})
 {
   const parser = new DOMParser();
   const mimeType = opts.type ?? MIME_TYPES.XML;
-  const xmlDoc = parser.parseFromString(text, mimeType);
+  const xmlDoc = parser.parseFromString(toHTML(text, mimeType), mimeType);
 
   if (opts.onError === true)
   { // Always return the doc regardless of parse errors.
     return xmlDoc;
   }
 
-  const parseErrors = xmlDoc.querySelector("parseerror");
-  if (parseErrors)
+  const parserError = findParserError(xmlDoc);
+  if (parserError)
   { // Parse errors found.
+    const [info] = parserDiagnostics(parserError, text);
+    const error = new XMLParseError(info, parserError, xmlDoc);
+
     if (typeof opts.onError === F)
     { // Custom error handler passed.
-      return opts.onError(xmlDoc);
+      return opts.onError(parserError, xmlDoc, error);
+    }
+    else if (opts.throw)
+    {
+      throw error;
     }
     else
     { 
-      console.error("parser errors occurred", parseErrors, 
+      console.error("parser errors occurred", error, 
       {
         text, opts, xmlDoc,
       });
@@ -194,40 +826,811 @@ function parseXML(text, opts={})
 exports.parseXML = parseXML;
 
 /**
- * Create an element from a string.
+ * Check if XML source is well-formed.
  * 
- * @param {string} string - String to turn into an element.
- * 
- * If this is a valid tag name, then an empty element will be
- * returned; e.g. `"br"` will return a `<br />` element.
+ * @param {(string|TrustedHTML)} text - XML source to check.
+ * @param {object} [opts] Options
+ * @param {string} [opts.type="application/xml"] MIME-type for DOM Parser.
+ * See {@link module:@lumjs/web-core/parser.parseXML} for details.
  * 
- * If this appears to be an HTML snippet, then it will be
- * passed to `parseHTML()` and the output from that returned.
+ * @returns {module:@lumjs/web-core/parser~XMLDiagnostic[]} A list of
+ * problems found; will be empty if the XML is well-formed.
  * 
- * In any other case this will be converted into a text node.
+ * Most browsers stop parsing at the first error, so there will usually
+ * only be one diagnostic, even if the source has several problems.
  * 
- * @param {object} [options] Options for other methods.
+ * @alias module:@lumjs/web-core/parser.validateXML
  * 
- * Used by either `document.createElement()` or `parseHTML()`.
+ * @example
  * 
- * @returns {object} Exact type depends on the `string` argument.
+ *   for (const diag of validateXML(editor.value))
+ *   {
+ *     editor.markError(diag.line, diag.column, diag.message);
+ *   }
  * 
- * @alias module:@lumjs/web-core/parser.elem
  */
-function elem(string, options)
+function validateXML(text, opts={})
 {
-  if (VALID_TAG.test(string))
-  {
-    return document.createElement(string, options);
-  }
-  else if (U.guessHTML(string))
-  {
-    return parseHTML(string, options);
-  }
-  else
-  {
-    return document.createTextNode(string);
-  }
+  const xmlDoc = parseXML(text, {type: opts.type, onError: true});
+  const parserError = findParserError(xmlDoc);
+  return (parserError ? parserDiagnostics(parserError, text) : []);
 }
 
-exports.elem = elem;
+exports.validateXML = validateXML;
+
+/**
+ * The default conventions used by `xmlToObject()` and `objectToXML()`.
+ * 
+ * Any of these may be overridden by the options passed to those
+ * functions, or changed here to change the defaults globally.
+ * 
+ * @alias module:@lumjs/web-core/parser.xmlConventions
+ * @type {object}
+ * 
+ * @prop {string} attributes - How attributes are stored.
+ * 
+ * - `"prefix"` → As properties of the element object, with names
+ *   starting with `attrPrefix`; e.g. `{"@id": "main"}`.
+ * - `"bag"` → In an object stored in the `attrKey` property of the
+ *   element object; e.g. `{"$": {id: "main"}}`.
+ * 
+ * The default is `"prefix"`.
+ * 
+ * @prop {string} attrPrefix - The prefix for attributes; default `"@"`.
+ * @prop {string} attrKey - The property for attributes; default `"$"`.
+ * @prop {string} textKey - The property for text; default `"#text"`.
+ * 
+ * Elements with only text (and no attributes) are converted to the
+ * text value itself instead of an object; e.g. `{name: "Bob"}`.
+ * Text that is only whitespace in an element that has child elements
+ * is ignored (it is assumed to be formatting).
+ * 
+ * @prop {boolean} cdata - Keep CDATA sections separate from text?
+ * 
+ * If `true`, CDATA sections are stored in the `cdataKey` property.
+ * If `false`, they are simply treated as text. The default is `false`.
+ * Either way, `objectToXML()` will create CDATA sections from the
+ * `cdataKey` property.
+ * 
+ * @prop {string} cdataKey - The property for CDATA; default `"#cdata"`.
+ * 
+ * @prop {(string|boolean|string[])} arrays - When to use arrays.
+ * 
+ * - `"auto"` → Only when an element name is repeated in the same parent.
+ * - `true` → Always use arrays for child elements.
+ * - An array of element names that will always use arrays; any others
+ *   will use the `"auto"` rule.
+ * 
+ * The default is `"auto"`. Arrays are always converted to repeated
+ * elements by `objectToXML()`.
+ * 
+ * @prop {(boolean|function)} coerce - Convert text to other types?
+ * 
+ * If `true`, text and attribute values of `"true"` and `"false"` are
+ * converted to booleans, and numbers are converted to numbers; only if
+ * they are written exactly as they would be converted back to strings
+ * (so `"1.0"`, `"1e3"` or `"-0"` are left as strings). If this is a `function`, it will be passed the
+ * text value and the element (or attribute) name, and must return the
+ * value to use. The default is `false` (all values are strings).
+ * 
+ * @prop {boolean} trim - Trim whitespace from text? Default `false`.
+ */
+const xmlConventions =
+{
+  attributes: 'prefix',
+  attrPrefix: '@',
+  attrKey: '$',
+  textKey: '#text',
+  cdata: false,
+  cdataKey: '#cdata',
+  arrays: 'auto',
+  coerce: false,
+  trim: false,
+}
+
+exports.xmlConventions = xmlConventions;
+
+// Private: a number that will be the same when converted back to a string.
+const isNumeric = (value) => 
+{
+  const num = Number(value);
+  return (Number.isFinite(num) && String(num) === value);
+}
+
+// Private: get the conventions to use for a set of options.
+function getConventions(opts)
+{
+  const conv = Object.assign({}, xmlConventions, opts);
+  conv.bag = (conv.attributes === 'bag');
+
+  if (typeof conv.coerce !== F)
+  {
+    conv.coerce = conv.coerce 
+      ? (value) => ((value === 'true' || value === 'false') 
+        ? (value === 'true') 
+        : (isNumeric(value) ? Number(value) : value))
+      : (value) => value;
+  }
+
+  const arrays = conv.arrays;
+  conv.isArray = Array.isArray(arrays)
+    ? (name) => arrays.includes(name)
+    : () => (arrays === true);
+
+  return conv;
+}
+
+/**
+ * Convert an XML document into a plain JavaScript object.
+ * 
+ * Comments and processing instructions are ignored, as is the order of
+ * text mixed with child elements; otherwise the object may be passed
+ * to `objectToXML()` (with the same options) to get the same document.
+ * 
+ * Element and attribute names are used as is (including any prefixes),
+ * and any `xmlns` attributes are kept as regular attributes.
+ * 
+ * @param {(XMLDocument|Element|string)} source - The XML to convert.
+ * 
+ * A `string` will be parsed with `parseXML()` (using the `throw` option).
+ * 
+ * @param {object} [opts] Options to override the `xmlConventions`.
+ * 
+ * @returns {object} An object with a single property, named after the
+ * root element, with the converted value of the root element.
+ * 
+ * @throws {TypeError} If `source` is not a valid value.
+ * @throws {module:@lumjs/web-core/parser.XMLParseError} If the
+ * `source` was a `string` with errors.
+ * 
+ * @alias module:@lumjs/web-core/parser.xmlToObject
+ * 
+ * @example
+ * 
+ *   xmlToObject('<conf v="2"><item>a</item><item>b</item><x/></conf>');
+ *   // {conf: {"@v": "2", item: ["a", "b"], x: ""}}
+ * 
+ */
+function xmlToObject(source, opts={})
+{
+  if (typeof source === S || isTrustedHTML(source))
+  {
+    source = parseXML(source, {throw: true});
+  }
+
+  const root = (source instanceof Document) ? source.documentElement : source;
+  if (!(root instanceof Element))
+  {
+    console.error({source, opts});
+    throw new TypeError("source must be an XML document, element, or string");
+  }
+
+  const conv = getConventions(opts);
+  return {[root.nodeName]: elementToValue(root, conv)};
+}
+
+exports.xmlToObject = xmlToObject;
+
+// Private: convert an element for xmlToObject().
+function elementToValue(el, conv)
+{
+  const obj = {};
+  let hasAttrs = false, hasElems = false;
+  let text = '', cdata = '';
+
+  if (el.attributes.length)
+  {
+    const attrs = conv.bag ? setKey(obj, conv.attrKey, {}) : obj;
+    const prefix = conv.bag ? '' : conv.attrPrefix;
+    for (const attr of el.attributes)
+    {
+      setKey(attrs, prefix + attr.name, conv.coerce(attr.value, attr.name));
+    }
+    hasAttrs = true;
+  }
+
+  for (const child of el.childNodes)
+  {
+    if (child.nodeType === Node.ELEMENT_NODE)
+    {
+      const name = child.nodeName;
+      const value = elementToValue(child, conv);
+      if (conv.isArray(name))
+      {
+        if (!Object.hasOwn(obj, name)) setKey(obj, name, []);
+        obj[name].push(value);
+      }
+      else if (Object.hasOwn(obj, name))
+      { // A repeated element.
+        if (!Array.isArray(obj[name])) setKey(obj, name, [obj[name]]);
+        obj[name].push(value);
+      }
+      else
+      {
+        setKey(obj, name, value);
+      }
+      hasElems = true;
+    }
+    else if (child.nodeType === Node.CDATA_SECTION_NODE && conv.cdata)
+    {
+      cdata += child.data;
+    }
+    else if (child.nodeType === Node.TEXT_NODE 
+      || child.nodeType === Node.CDATA_SECTION_NODE)
+    {
+      text += child.data;
+    }
+  }
+
+  if (conv.trim || (hasElems && text.trim() === ''))
+  {
+    text = text.trim();
+  }
+
+  if (!hasAttrs && !hasElems && cdata === '')
+  { // Just a text value.
+    return conv.coerce(text, el.nodeName);
+  }
+
+  if (text !== '')
+  {
+    setKey(obj, conv.textKey, conv.coerce(text, el.nodeName));
+  }
+  if (cdata !== '')
+  {
+    setKey(obj, conv.cdataKey, cdata);
+  }
+
+  return obj;
+}
+
+// Private: set a property (even one named `__proto__`); returns the value.
+function setKey(obj, key, value)
+{
+  Object.defineProperty(obj, key, 
+    {value, writable: true, enumerable: true, configurable: true});
+  return value;
+}
+
+/**
+ * Convert a plain JavaScript object into an XML document.
+ * 
+ * This is the reverse of `xmlToObject()`, using the same conventions.
+ * 
+ * @param {object} obj - The object to convert.
+ * 
+ * Must have a single property, which is the name of the root element.
+ * Any values that are not objects or arrays are converted to strings;
+ * `null` values become empty elements, and `undefined` values are skipped.
+ * 
+ * @param {object} [opts] Options to override the `xmlConventions`;
+ * plus the following:
+ * 
+ * @param {object} [opts.namespaces] Namespaces to use.
+ * 
+ * Each key is a prefix (or an empty string for the default namespace),
+ * and the value is a namespace URI. Any `xmlns` attributes in the object
+ * will also be used, for the element they are on and its descendants.
+ * 
+ * @param {boolean} [opts.string=false] Return a string?
+ * 
+ * If `true`, the document will be serialized using `XMLSerializer`.
+ * 
+ * @param {boolean} [opts.declaration=false] Add an XML declaration?
+ * 
+ * Only used if `opts.string` is `true`.
+ * 
+ * @returns {(XMLDocument|string)}
+ * 
+ * @throws {TypeError} If `obj` does not have exactly one property.
+ * 
+ * @alias module:@lumjs/web-core/parser.objectToXML
+ */
+function objectToXML(obj, opts={})
+{
+  const keys = isObj(obj) ? Object.keys(obj) : [];
+  if (keys.length !== 1)
+  {
+    console.error({obj, opts});
+    throw new TypeError("obj must have a single root element property");
+  }
+
+  const conv = getConventions(opts);
+  const xmlDoc = document.implementation.createDocument(null, null, null);
+  const scope = Object.assign({}, opts.namespaces);
+  valueToElement(xmlDoc, keys[0], obj[keys[0]], scope, conv);
+
+  if (opts.string)
+  {
+    const xml = new XMLSerializer().serializeToString(xmlDoc);
+    return (opts.declaration 
+      ? '<?xml version="1.0" encoding="UTF-8"?>\n' + xml 
+      : xml);
+  }
+
+  return xmlDoc;
+}
+
+exports.objectToXML = objectToXML;
+
+// Private: get the namespace URI for a qualified name.
+function nameNS(name, scope, isAttr)
+{
+  const colon = name.indexOf(':');
+  const prefix = (colon === -1) ? '' : name.slice(0, colon);
+
+  if (prefix === 'xmlns' || (isAttr && name === 'xmlns'))
+  {
+    return NS.XMLNS;
+  }
+  else if (prefix === 'xml')
+  {
+    return NS.XML;
+  }
+  else if (prefix === '' && isAttr)
+  { // Attributes without a prefix have no namespace.
+    return null;
+  }
+
+  return scope[prefix] ?? null;
+}
+
+// Private: convert a value for objectToXML() and add it to a parent node.
+function valueToElement(parent, name, value, scope, conv)
+{
+  if (value === undefined)
+  {
+    return;
+  }
+  else if (Array.isArray(value))
+  {
+    for (const item of value)
+    {
+      valueToElement(parent, name, item, scope, conv);
+    }
+    return;
+  }
+
+  const doc = parent.ownerDocument ?? parent;
+  const toText = (v) => ((v instanceof Date) ? v.toISOString() : String(v));
+
+  // Find the attributes first, as they may declare namespaces.
+  const attrs = Object.create(null); // An attribute may be `__proto__`.
+  if (isObj(value) && !(value instanceof Date))
+  {
+    if (conv.bag)
+    {
+      Object.assign(attrs, value[conv.attrKey]);
+    }
+    else
+    {
+      for (const key in value)
+      {
+        if (key.startsWith(conv.attrPrefix))
+        {
+          attrs[key.slice(conv.attrPrefix.length)] = value[key];
+        }
+      }
+    }
+
+    const decls = {};
+    let hasDecls = false;
+    for (const attr in attrs)
+    {
+      if (attr === 'xmlns' || attr.startsWith('xmlns:'))
+      {
+        decls[attr === 'xmlns' ? '' : attr.slice(6)] = attrs[attr];
+        hasDecls = true;
+      }
+    }
+
+    if (hasDecls)
+    { // A new scope for this element and its descendants.
+      scope = Object.assign(Object.create(scope), decls);
+    }
+  }
+
+  const el = doc.createElementNS(nameNS(name, scope, false), name);
+  parent.appendChild(el);
+
+  if (value === null)
+  { // An empty element.
+    return;
+  }
+  else if (!isObj(value) || value instanceof Date)
+  {
+    el.textContent = toText(value);
+    return;
+  }
+
+  for (const attr in attrs)
+  {
+    if (attrs[attr] === undefined || attrs[attr] === null) continue;
+    el.setAttributeNS(nameNS(attr, scope, true), attr, toText(attrs[attr]));
+  }
+
+  for (const key in value)
+  {
+    const child = value[key];
+    if ((conv.bag && key === conv.attrKey)
+      || (!conv.bag && key.startsWith(conv.attrPrefix)))
+    { // Already handled.
+      continue;
+    }
+    else if (key === conv.textKey)
+    {
+      el.appendChild(doc.createTextNode(toText(child)));
+    }
+    else if (key === conv.cdataKey)
+    {
+      el.appendChild(doc.createCDATASection(toText(child)));
+    }
+    else
+    {
+      valueToElement(el, key, child, scope, conv);
+    }
+  }
+}
+
+/**
+ * Create an element from a string.
+ * 
+ * @param {(string|TrustedHTML)} string - String to turn into an element.
+ * 
+ * A `TrustedHTML` value will always be passed to `parseHTML()`.
+ * 
+ * If this is a valid tag name, then an empty element will be
+ * returned; e.g. `"br"` will return a `<br />` element.
+ * See {@link module:@lumjs/web-core/utils.createElement} for details
+ * on which namespace the element will be created in.
+ * 
+ * If this appears to be an HTML snippet, then it will be
+ * passed to `parseHTML()` and the output from that returned.
+ * 
+ * In any other case this will be converted into a text node.
+ * 
+ * @param {object} [options] Options for other methods.
+ * 
+ * Used by either `utils.createElement()` or `parseHTML()`;
+ * both of which support an `ns` option to set the namespace.
+ * 
+ * @returns {object} Exact type depends on the `string` argument.
+ * 
+ * @alias module:@lumjs/web-core/parser.elem
+ */
+function elem(string, options)
+{
+  if (isTrustedHTML(string))
+  {
+    return parseHTML(string, options);
+  }
+  else if (VALID_TAG.test(string))
+  {
+    return U.createElement(string, options);
+  }
+  else if (U.guessHTML(string))
+  {
+    return parseHTML(string, options);
+  }
+  else
+  {
+    return document.createTextNode(string);
+  }
+}
+
+exports.elem = elem;
+
+/**
+ * Serialize nodes into HTML or XML source.
+ * 
+ * @param {(Node|Iterable|object)} node - The node(s) to serialize.
+ * 
+ * May be an `Element`, `Document`, `DocumentFragment` (or any other
+ * kind of `Node`); or an `Array`, `NodeList` or `HTMLCollection` of
+ * nodes, or a `query.FindResult` object. Multiple nodes are serialized
+ * separately and joined together (with newlines if `opts.pretty` is used).
+ * 
+ * The nodes themselves are never modified.
+ * 
+ * @param {object} [opts] Options
+ * 
+ * @param {string} [opts.type] The type of source to create.
+ * 
+ * - `"html"` → HTML, using the HTML rules for void elements
+ *   (like `<br>`), raw text elements (like `<script>`), and escaping.
+ * - `"xml"` → XML, using `XMLSerializer`, which adds any namespace
+ *   declarations that are needed.
+ * - `"xhtml"` → XHTML; the same as `"xml"` (which is what
+ *   `XMLSerializer` produces for HTML elements), but with the
+ *   `selfClose` option having no effect.
+ * 
+ * The default is `"html"` for nodes in an HTML document, and `"xml"`
+ * for anything else.
+ * 
+ * @param {boolean} [opts.pretty=false] Indent the source?
+ * 
+ * Adds newlines and indentation between elements. Elements with any
+ * text content (other than whitespace) are left as is, as are `<pre>`,
+ * `<textarea>`, `<script>` and `<style>` elements, and any elements with
+ * an `xml:space="preserve"` attribute (along with all of their content).
+ * 
+ * @param {(string|number)} [opts.indent=2] Indentation to use.
+ * 
+ * A `number` is a number of spaces; a `string` is used as is.
+ * 
+ * @param {boolean} [opts.selfClose] Use self-closing tags?
+ * 
+ * For `"html"`, void elements will use `<br />` instead of `<br>` and
+ * empty SVG and MathML elements will use `<circle />` instead of
+ * `<circle></circle>`; the default is `false`.
+ * For `"xml"`, empty elements will use `<a/>` instead of `<a></a>`;
+ * the default is `true`.
+ * 
+ * @param {boolean} [opts.sortAttrs=false] Sort attributes by name?
+ * 
+ * @param {boolean} [opts.canonical=false] Use a canonical form?
+ * 
+ * A form suitable for comparing snapshots (e.g. in tests), where
+ * insignificant differences are removed: comments are removed,
+ * whitespace in text is collapsed into single spaces (and whitespace-only
+ * text is removed) except where `pretty` leaves the content as is, and
+ * the `pretty` and `sortAttrs` options default to `true`.
+ * 
+ * @returns {string}
+ * 
+ * @throws {TypeError} If `node` is not a valid value,
+ * or `opts.type` is not a supported type.
+ * 
+ * @alias module:@lumjs/web-core/parser.serialize
+ * 
+ * @example
+ * 
+ *   serialize(find('#menu'), {pretty: true});
+ *   serialize(xmlDoc, {type: 'xml', sortAttrs: true});
+ *   expect(serialize(el, {canonical: true})).toBe(snapshot);
+ * 
+ */
+function serialize(node, opts={})
+{
+  if (node instanceof mods.query.FindResult)
+  {
+    node = node.results;
+  }
+
+  const nodes = (node instanceof Node) ? [node]
+    : ((Array.isArray(node) || U.isContainer(node)) ? Array.from(node) : null);
+
+  if (nodes === null || nodes.some(n => !(n instanceof Node)))
+  {
+    console.error({node, opts});
+    throw new TypeError("node must be a Node, a list of nodes, or a FindResult");
+  }
+
+  const doc = nodes[0]?.ownerDocument ?? nodes[0] ?? document;
+  const type = opts.type 
+    ?? ((doc.contentType === MIME_TYPES.HTML) ? 'html' : 'xml');
+
+  if (!SERIALIZE_TYPES.includes(type))
+  {
+    console.error({node, opts});
+    throw new TypeError("Unsupported type: " + type);
+  }
+
+  const canonical = opts.canonical ?? false;
+  const sopts =
+  {
+    type,
+    canonical,
+    pretty: opts.pretty ?? canonical,
+    sortAttrs: opts.sortAttrs ?? canonical,
+    selfClose: opts.selfClose ?? (type === 'xml'),
+    indent: (typeof opts.indent === N) 
+      ? ' '.repeat(opts.indent) : (opts.indent ?? '  '),
+  }
+
+  return nodes.map(n => serializeNode(n, sopts))
+    .join(sopts.pretty ? '\n' : '');
+}
+
+exports.serialize = serialize;
+
+// Private: the types supported by serialize().
+const SERIALIZE_TYPES = ['html', 'xml', 'xhtml'];
+
+// Private: HTML elements with no content or end tag.
+const VOID_ELEMENTS = new Set(
+[
+  'area', 'base', 'basefont', 'bgsound', 'br', 'col', 'embed', 'frame',
+  'hr', 'img', 'input', 'keygen', 'link', 'meta', 'param', 'source',
+  'track', 'wbr',
+]);
+
+// Private: HTML elements with text content that is not escaped.
+const RAW_TEXT = new Set(
+[
+  'iframe', 'noembed', 'noframes', 'plaintext', 'script', 'style', 'xmp',
+]);
+
+// Private: HTML elements where whitespace matters.
+const KEEP_SPACE = new Set(['pre', 'script', 'style', 'textarea']);
+
+// Private: serialize a single node.
+function serializeNode(node, opts)
+{
+  if (node instanceof Document && opts.pretty)
+  { // Can't add whitespace to a document; so each child separately.
+    return Array.from(node.childNodes)
+      .map(child => serializeNode(child, opts))
+      .join('\n');
+  }
+
+  if (opts.pretty || opts.sortAttrs || opts.canonical 
+    || (opts.type === 'xml' && !opts.selfClose))
+  { // Make the changes to a copy.
+    node = node.cloneNode(true);
+    prepareNode(node, opts, 0);
+  }
+
+  return (opts.type === 'html') 
+    ? htmlSource(node, opts) 
+    : new XMLSerializer().serializeToString(node);
+}
+
+// Private: the node that holds the children of a node.
+const childrenOf = (node) => 
+  ((node.content instanceof DocumentFragment) ? node.content : node);
+
+// Private: apply the serialize() options to a (copied) node.
+function prepareNode(node, opts, depth, keepSpace=false)
+{ // Whitespace is kept in all of the descendants of a `keep` element.
+  const isElem = (node instanceof Element);
+  const space = isElem ? node.getAttributeNS(NS.XML, 'space') : null;
+  const keep = (space === 'preserve') || (space !== 'default' && (keepSpace
+    || (isElem && node.namespaceURI === NS.HTML 
+    && KEEP_SPACE.has(node.localName))));
+
+  if (isElem && opts.sortAttrs)
+  {
+    const attrs = Array.from(node.attributes)
+      .sort((a, b) => (a.name < b.name ? -1 : (a.name > b.name ? 1 : 0)));
+    for (const attr of attrs)
+    {
+      node.removeAttributeNode(attr);
+    }
+    for (const attr of attrs)
+    {
+      node.setAttributeNodeNS(attr);
+    }
+  }
+
+  const parent = childrenOf(node);
+  let mixed = false;
+
+  for (const child of Array.from(parent.childNodes))
+  {
+    if (child.nodeType === Node.COMMENT_NODE && opts.canonical)
+    {
+      child.remove();
+    }
+    else if (child.nodeType === Node.TEXT_NODE && !keep)
+    {
+      if (opts.canonical)
+      {
+        child.data = child.data.replace(/[ \t\n\r\f]+/g, ' ');
+      }
+      if (/^[ \t\n\r\f]*$/.test(child.data))
+      {
+        if (opts.canonical || opts.pretty)
+        {
+          child.remove();
+        }
+      }
+      else
+      {
+        mixed = true;
+      }
+    }
+    else if (child.nodeType === Node.CDATA_SECTION_NODE)
+    {
+      mixed = true;
+    }
+  }
+
+  for (const child of parent.children ?? [])
+  {
+    prepareNode(child, opts, depth+1, keep);
+  }
+
+  if (opts.pretty && !keep && !mixed && parent.childNodes.length > 0
+    && !(node instanceof DocumentFragment && depth === 0))
+  { // Indent the children.
+    const doc = node.ownerDocument ?? node;
+    const inner = '\n' + opts.indent.repeat(depth+1);
+    for (const child of Array.from(parent.childNodes))
+    {
+      parent.insertBefore(doc.createTextNode(inner), child);
+    }
+    parent.append('\n' + opts.indent.repeat(depth));
+  }
+  else if (opts.pretty && node instanceof DocumentFragment && depth === 0)
+  { // Top-level nodes of a fragment go on separate lines.
+    const doc = node.ownerDocument;
+    const nodes = Array.from(parent.childNodes);
+    for (const child of nodes.slice(1))
+    {
+      parent.insertBefore(doc.createTextNode('\n'), child);
+    }
+  }
+
+  if (opts.type === 'xml' && !opts.selfClose && isElem 
+    && parent.childNodes.length === 0)
+  { // An empty text node prevents the short form.
+    parent.append('');
+  }
+}
+
+// Private: escape text for HTML source.
+const escapeText = (text) => text.replace(/&/g, '&amp;')
+  .replace(/\u00A0/g, '&nbsp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Private: escape an attribute value for HTML source.
+const escapeAttr = (text) => text.replace(/&/g, '&amp;')
+  .replace(/\u00A0/g, '&nbsp;').replace(/"/g, '&quot;');
+
+// Private: serialize a node as HTML.
+function htmlSource(node, opts)
+{
+  switch (node.nodeType)
+  {
+    case Node.ELEMENT_NODE:
+    {
+      const isHTML = (node.namespaceURI === NS.HTML);
+      const tag = (isHTML || !node.prefix) ? node.localName 
+        : `${node.prefix}:${node.localName}`;
+
+      let src = '<' + tag;
+      for (const attr of node.attributes)
+      {
+        src += ` ${attr.name}="${escapeAttr(attr.value)}"`;
+      }
+
+      if (isHTML && VOID_ELEMENTS.has(tag))
+      {
+        return src + (opts.selfClose ? ' />' : '>');
+      }
+
+      const parent = childrenOf(node);
+      if (!isHTML && opts.selfClose && parent.childNodes.length === 0)
+      {
+        return src + ' />';
+      }
+
+      src += '>';
+      for (const child of parent.childNodes)
+      {
+        src += htmlSource(child, opts);
+      }
+      return src + `</${tag}>`;
+    }
+    case Node.TEXT_NODE:
+    {
+      const parent = node.parentNode;
+      return ((parent instanceof Element && parent.namespaceURI === NS.HTML 
+        && RAW_TEXT.has(parent.localName)) ? node.data : escapeText(node.data));
+    }
+    case Node.CDATA_SECTION_NODE:
+      return `<![CDATA[${node.data}]]>`;
+    case Node.COMMENT_NODE:
+      return `<!--${node.data}-->`;
+    case Node.PROCESSING_INSTRUCTION_NODE:
+      return `<?${node.target} ${node.data}>`;
+    case Node.DOCUMENT_TYPE_NODE:
+      return `<!DOCTYPE ${node.name}>`;
+    case Node.DOCUMENT_NODE:
+    case Node.DOCUMENT_FRAGMENT_NODE:
+      return Array.from(node.childNodes)
+        .map(child => htmlSource(child, opts)).join('');
+    default:
+      return '';
+  }
+}
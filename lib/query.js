@@ -5,15 +5,31 @@
 "use strict";
 
 const core = require('@lumjs/core');
-const {S,F,B,isObj,def} = core.types;
+const {S,F,B,N,isObj,def,lazy} = core.types;
 
-const {isQueryable,getNested,isCollection} = require('./utils');
+const {isQueryable,getNested,getShadowRoot,isCollection,cssEscape} 
+  = require('./utils');
+const {onEvent} = require('./events');
+const {isVisible} = require('./ui');
+const {XPathQuery,xpath,xpathValue,xpathFor} = require('./xpath');
+const aria = require('./aria');
 
 const SUB_QUERY = /[\s,>]+/;
+const CSS_ESCAPE = /\\([0-9a-fA-F]{1,6}\s?|[^])/g;
+const WSP = /\s+/;
+
+// Sub-modules used by FindResult, lazy-loaded to avoid circular requires.
+const mods = {};
+lazy(mods, 'content', () => require('./content'));
+lazy(mods, 'eventbuilder', () => require('./eventbuilder'));
+lazy(mods, 'traverse', () => require('./traverse'));
 
 /**
  * Is the string a query for a singular element?
  * 
+ * A singular query is an `id` selector with nothing else; CSS escapes
+ * in the id (such as `#a\ b` or `#\31 23`) are allowed.
+ * 
  * @param {string} selector Query selector
  * @returns {boolean}
  * @alias module:@lumjs/web-core/query.isSingular
@@ -25,12 +41,499 @@ function isSingular(selector)
     throw new TypeError("selector must be a string");
   }
 
-  selector = selector.trim();
+  selector = selector.trim().replace(CSS_ESCAPE, '_');
   return (selector.startsWith('#') && !SUB_QUERY.test(selector));
 }
 
 exports.isSingular = isSingular;
 
+/**
+ * A registry of custom pseudo-classes for `find()` selectors.
+ * 
+ * Each property name is the name of a pseudo-class (without the leading
+ * `:` character), and the value is a test function which will be passed
+ * `(element, arg, info)` and must return a `boolean` indicating if the
+ * element matched the pseudo-class.
+ * 
+ * - `element` is the element being tested.
+ * - `arg` is the argument passed in parenthesis, e.g. for `:contains(hi)`
+ *   it will be `"hi"`. Leading and trailing whitespace, and any surrounding
+ *   quotes will be removed. Will be `undefined` if no argument was passed.
+ * - `info` is an object with `name`, `arg`, and `source` properties,
+ *   where the `source` is the original pseudo-class string.
+ * 
+ * The test functions will be called with the registry as `this`.
+ * 
+ * The selectors using custom pseudo-classes will have those parts removed,
+ * and the resulting _native_ selector will be passed to `querySelectorAll()`
+ * to get the list of candidate elements, which will then be tested
+ * against the full selector (including the custom pseudo-classes).
+ * 
+ * Custom pseudo-classes can be used in any part of a selector, e.g.
+ * `"ul:visible > li:contains(hello)"` is perfectly valid. They cannot
+ * however be used _inside_ native functional pseudo-classes such as
+ * `:not()`, `:is()`, or `:has()`.
+ * 
+ * Built-in pseudo-classes:
+ * 
+ * - `:visible` → Uses `ui.isVisible()` (which uses `ui.opacityOf()`).
+ * - `:hidden` → The opposite of `:visible`.
+ * - `:contains(text)` → The `textContent` includes the `text`.
+ * - `:focusable` → Can receive focus (via script or user interaction).
+ * - `:tabbable` → Can receive focus via keyboard navigation.
+ * - `:in-viewport` → Is (at least partially) within the viewport.
+ * 
+ * @alias module:@lumjs/web-core/query.pseudos
+ * @type {object}
+ */
+const pseudos =
+{
+  /**
+   * Register a custom pseudo-class.
+   * 
+   * @param {string} name - Name of the pseudo-class (without the `:`).
+   * 
+   * If a pseudo-class with the same name was already registered,
+   * it will be replaced.
+   * 
+   * @param {function} test - The test function.
+   * @returns {module:@lumjs/web-core/query.pseudos}
+   * @throws {TypeError} If either argument is invalid.
+   */
+  $add(name, test)
+  {
+    if (typeof name !== S || !PSEUDO_NAME.test(name))
+    {
+      console.error({name, test});
+      throw new TypeError("Invalid pseudo-class name");
+    }
+
+    if (typeof test !== F)
+    {
+      console.error({name, test});
+      throw new TypeError("Pseudo-class test must be a function");
+    }
+
+    this[name] = test;
+    return this;
+  },
+
+  /**
+   * Remove a custom pseudo-class.
+   * 
+   * @param {string} name - Name of the pseudo-class (without the `:`).
+   * @returns {module:@lumjs/web-core/query.pseudos}
+   */
+  $remove(name)
+  {
+    if (this.$has(name))
+    {
+      delete this[name];
+    }
+    return this;
+  },
+
+  /**
+   * See if a custom pseudo-class has been registered.
+   * 
+   * @param {string} name - Name of the pseudo-class (without the `:`).
+   * @returns {boolean}
+   */
+  $has(name)
+  {
+    return (typeof name === S && !name.startsWith('$') 
+      && Object.hasOwn(this, name) && typeof this[name] === F);
+  },
+
+} // pseudos
+
+exports.pseudos = pseudos;
+
+const PSEUDO_NAME = /^[a-zA-Z][\w\-]*$/;
+
+// Selectors for elements that are focusable by default.
+const FOCUSABLE = [
+  'a[href]', 'area[href]', 'button', 'iframe', 'select', 'textarea',
+  'input:not([type="hidden"])', 'summary', '[tabindex]',
+  '[contenteditable]:not([contenteditable="false"])',
+  'audio[controls]', 'video[controls]',
+].join(',');
+
+pseudos
+.$add('visible', el => isVisible(el))
+.$add('hidden', el => !isVisible(el))
+.$add('contains', (el, text) => el.textContent.includes(text ?? ''))
+.$add('focusable', el => (el.matches(FOCUSABLE) && !el.matches(':disabled')
+  && !el.closest('[inert]') && isVisible(el)))
+.$add('tabbable', function(el)
+{
+  return (el.tabIndex >= 0 && this.focusable(el));
+})
+.$add('in-viewport', el =>
+{
+  if (!el.isConnected) return false;
+  const rect = el.getBoundingClientRect();
+  const vw = window.innerWidth  || document.documentElement.clientWidth;
+  const vh = window.innerHeight || document.documentElement.clientHeight;
+  return (rect.bottom > 0 && rect.right > 0 
+    && rect.top < vh && rect.left < vw);
+})
+;
+
+/**
+ * Parse a selector for custom pseudo-classes.
+ * 
+ * @private
+ * @param {string} selector - Full selector (may include commas).
+ * @returns {?object} Will be `null` if no custom pseudo-classes were found.
+ * 
+ * Otherwise an object with a `native` string property 
+ * (the selector with the custom pseudo-classes removed), 
+ * and a `matches(element)` function.
+ */
+function parsePseudos(selector)
+{
+  const branches = [];
+  let custom = false;
+
+  let branch, part, pos = 0;
+  const len = selector.length;
+
+  const newPart = (combinator) => 
+  {
+    part = {combinator, native: '', tests: []};
+    branch.parts.push(part);
+  }
+
+  const newBranch = () =>
+  {
+    branch = {parts: [], custom: false, source: ''};
+    branches.push(branch);
+    newPart(null);
+  }
+
+  // Read a balanced [...] or (...) group starting at pos.
+  const readGroup = () =>
+  {
+    const start = pos;
+    let depth = 0, quote = null;
+    for (; pos < len; pos++)
+    {
+      const c = selector[pos];
+      if (c === '\\') { pos++; continue; }
+      if (quote)
+      {
+        if (c === quote) quote = null;
+      }
+      else if (c === '"' || c === "'")
+      {
+        quote = c;
+      }
+      else if (c === '(' || c === '[')
+      {
+        depth++;
+      }
+      else if (c === ')' || c === ']')
+      {
+        if (--depth === 0) { pos++; break; }
+      }
+    }
+    return selector.slice(start, pos);
+  }
+
+  newBranch();
+
+  while (pos < len)
+  {
+    const c = selector[pos];
+
+    if (c === '\\')
+    { // An escaped character.
+      part.native += selector.slice(pos, pos+2);
+      pos += 2;
+    }
+    else if (c === ',')
+    { // The start of a new branch.
+      pos++;
+      newBranch();
+    }
+    else if (/[\s>+~]/.test(c))
+    { // A combinator.
+      let comb = ' ';
+      while (pos < len && /[\s>+~]/.test(selector[pos]))
+      {
+        if (!/\s/.test(selector[pos]))
+        {
+          comb = selector[pos];
+        }
+        pos++;
+      }
+
+      if (pos < len && selector[pos] !== ',')
+      {
+        if (part.native === '' && part.tests.length === 0)
+        { // Leading whitespace (or a leading combinator).
+          if (comb !== ' ') part.native += comb + ' ';
+        }
+        else
+        {
+          newPart(comb);
+        }
+      }
+    }
+    else if (c === '[')
+    { // An attribute selector.
+      part.native += readGroup();
+    }
+    else if (c === ':' && selector[pos+1] === ':')
+    { // A pseudo-element.
+      const m = selector.slice(pos).match(/^::[\w\-]+/);
+      const pe = m ? m[0] : '::';
+      part.native += pe;
+      pos += pe.length;
+    }
+    else if (c === ':')
+    { // A pseudo-class, let's see if it's one of ours.
+      const m = selector.slice(pos).match(/^:([\w\-]+)/);
+      const name = m ? m[1] : '';
+      let source = ':' + name;
+      pos += source.length;
+      
+      let arg;
+      if (selector[pos] === '(')
+      {
+        const group = readGroup();
+        source += group;
+        arg = unquote(group.slice(1, -1));
+      }
+
+      if (pseudos.$has(name))
+      {
+        part.tests.push({name, arg, source, test: pseudos[name]});
+        branch.custom = custom = true;
+      }
+      else
+      {
+        part.native += source;
+      }
+    }
+    else
+    {
+      part.native += c;
+      pos++;
+    }
+  }
+
+  if (!custom)
+  { // Nothing to do here.
+    return null;
+  }
+
+  const nativeBranches = [];
+
+  for (const br of branches)
+  {
+    let source = '';
+    for (const p of br.parts)
+    {
+      if (p.combinator === ' ') source += ' ';
+      else if (p.combinator) source += ` ${p.combinator} `;
+      source += (p.native.trim() || '*');
+    }
+    br.source = source;
+    nativeBranches.push(source);
+  }
+
+  const matches = (el) => branches.some(br => br.custom 
+    ? matchParts(el, br.parts, br.parts.length-1) 
+    : el.matches(br.source));
+
+  return {native: nativeBranches.join(','), matches};
+}
+
+// Private: match an element against parsed selector parts (right-to-left).
+function matchParts(el, parts, i)
+{
+  const part = parts[i];
+
+  if (!el.matches(part.native.trim() || '*'))
+  {
+    return false;
+  }
+
+  for (const t of part.tests)
+  {
+    if (!t.test.call(pseudos, el, t.arg, t))
+    {
+      return false;
+    }
+  }
+
+  if (i === 0)
+  { // Every part matched.
+    return true;
+  }
+
+  switch (part.combinator)
+  {
+    case '>':
+      return (el.parentElement !== null 
+        && matchParts(el.parentElement, parts, i-1));
+    case '+':
+      return (el.previousElementSibling !== null
+        && matchParts(el.previousElementSibling, parts, i-1));
+    case '~':
+      for (let s = el.previousElementSibling; s; s = s.previousElementSibling)
+      {
+        if (matchParts(s, parts, i-1)) return true;
+      }
+      return false;
+    default:
+      for (let a = el.parentElement; a; a = a.parentElement)
+      {
+        if (matchParts(a, parts, i-1)) return true;
+      }
+      return false;
+  }
+}
+
+// Private: remove whitespace and surrounding quotes from a string.
+function unquote(str)
+{
+  str = str.trim();
+  const q = str[0];
+  if ((q === '"' || q === "'") && str.endsWith(q) && str.length > 1)
+  {
+    str = str.slice(1, -1);
+  }
+  return str;
+}
+
+/**
+ * Does an element match a selector?
+ * 
+ * A wrapper around `element.matches()` that supports the custom 
+ * pseudo-classes registered in the `pseudos` object.
+ * 
+ * @param {Element} elem - The element to test.
+ * @param {string} selector - The selector to test with.
+ * @returns {boolean}
+ * @alias module:@lumjs/web-core/query.matches
+ */
+function matches(elem, selector)
+{
+  const custom = parsePseudos(selector);
+  return (custom ? custom.matches(elem) : elem.matches(selector));
+}
+
+exports.matches = matches;
+
+/**
+ * The codes used for `find()` log entries and errors.
+ * 
+ * @alias module:@lumjs/web-core/query.FIND_CODES
+ * @prop {string} MULTIPLE_SET - More than one `boolean` argument.
+ * @prop {string} NODE_SET - More than one _queryable_ argument.
+ * @prop {string} NESTOPTS_SET - More than one plain `object` argument.
+ * @prop {string} XPATH_SET - More than one `XPathQuery` argument.
+ * @prop {string} RESULT_SET - More than one `FindResult` argument.
+ * @prop {string} UNSUPPORTED - An argument of an unsupported type.
+ * @prop {string} INVALID_SELECTOR - A selector with invalid syntax.
+ * @prop {string} XPATH_SELECTORS - Selectors passed with an `XPathQuery`.
+ * @prop {string} NO_QUERY - No selectors, filters, or `XPathQuery` passed.
+ */
+const FIND_CODES = Object.freeze(
+{
+  MULTIPLE_SET: 'multiple-set',
+  NODE_SET: 'node-set',
+  NESTOPTS_SET: 'nestopts-set',
+  XPATH_SET: 'xpath-set',
+  RESULT_SET: 'result-set',
+  UNSUPPORTED: 'unsupported',
+  INVALID_SELECTOR: 'invalid-selector',
+  XPATH_SELECTORS: 'xpath-selectors',
+  NO_QUERY: 'no-query',
+});
+
+exports.FIND_CODES = FIND_CODES;
+
+// Private map of codes to messages.
+const FIND_MESSAGES =
+{
+  [FIND_CODES.MULTIPLE_SET]: "the 'multiple' option was already set",
+  [FIND_CODES.NODE_SET]: "the 'node' option was already set",
+  [FIND_CODES.NESTOPTS_SET]: "the 'nestOpts' option was already set",
+  [FIND_CODES.XPATH_SET]: "the 'xpath' option was already set",
+  [FIND_CODES.RESULT_SET]: "a FindResult instance was already passed",
+  [FIND_CODES.UNSUPPORTED]: "unsupported argument value",
+  [FIND_CODES.INVALID_SELECTOR]: "invalid selector syntax",
+  [FIND_CODES.XPATH_SELECTORS]: "selectors are ignored when using xpath",
+  [FIND_CODES.NO_QUERY]: "no selectors or filters specified",
+}
+
+/**
+ * The default value for the `strict` option of `find()`.
+ * 
+ * If `true`, all calls to `find()` (and the functions that use it) will
+ * throw a `FindArgumentError` instead of logging problems with the
+ * arguments, unless `strict: false` is set explicitly in the options.
+ * 
+ * @alias module:@lumjs/web-core/query.strict
+ * @type {boolean}
+ */
+exports.strict = false;
+
+/**
+ * An error thrown by `find()` when using the `strict` option.
+ * 
+ * @alias module:@lumjs/web-core/query.FindArgumentError
+ * 
+ * @property {string} reason - One of the `FIND_CODES` values.
+ * @property {number} index - The index of the argument with the problem.
+ * Will be `-1` if the problem was not caused by a specific argument.
+ * @property {*} value - The argument value (or other relevant data).
+ * @property {Array} args - The arguments passed to `find()`.
+ */
+class FindArgumentError extends TypeError
+{
+  /**
+   * Create a new FindArgumentError instance.
+   * 
+   * @param {object} entry - A log entry from `find()`;
+   * see {@link module:@lumjs/web-core/query.FindResult} for details.
+   * @param {Array} args - The `args` property.
+   */
+  constructor(entry, args)
+  {
+    const where = (entry.at > -1) ? ` (argument ${entry.at})` : '';
+    super(entry.msg + where, 
+      (entry.cause ? {cause: entry.cause} : undefined));
+    this.name = 'FindArgumentError';
+    this.reason = entry.code;
+    this.index = entry.at;
+    this.value = entry.data;
+    this.args = args;
+  }
+}
+
+exports.FindArgumentError = FindArgumentError;
+
+// Private: check the syntax of a selector; returns the error if invalid.
+function selectorError(selector)
+{
+  const custom = parsePseudos(selector);
+  try
+  {
+    document.createDocumentFragment()
+      .querySelector(custom ? custom.native : selector);
+    return null;
+  }
+  catch (err)
+  {
+    return err;
+  }
+}
+
 /**
  * A wrapper around querySelector and querySelectorAll,
  * with some extra filtering features that adds significant power.
@@ -45,11 +548,14 @@ exports.isSingular = isSingular;
  *   Only **ONE** `boolean` argument is supported.
  *   If **NO** `boolean` value is passed, the following logic will be used:
  *   - A single selector starting with a `#` and having _NO_ spaces, commas,
- *     or `>` symbols will set the _multiple_ option to `false`.
+ *     or `>` symbols (other than escaped ones in the id) will set the
+ *     _multiple_ option to `false`.
  *   - Anything else will set the _multiple_ option to `true`.
  * - Any `string` arguments will be assumed to be _selector queries_ for
  *   the `querySelector*` methods. Any number may be passed; they will be
  *   joined into a single selector `string` using commas.
+ *   Custom pseudo-classes registered in the `pseudos` object may be used.
+ *   See {@link module:@lumjs/web-core/query.pseudos} for details.
  * - Any `function` arguments will be used to filter the elements further.
  *   Each function will be passed an element and must return a `boolean`
  *   indicating if it passed the test and should be included. Unlike the
@@ -57,14 +563,42 @@ exports.isSingular = isSingular;
  *   for the element to be included in the returned list.
  * - A plain `object` (non-instance) may be passed to be used as the options
  *   for the `getNested()` function, which is only used if **NO** `string`
- *   arguments were passed. Only **ONE** plain `object` is supported.
+ *   arguments were passed, or if the `deep` option is `true`. 
+ *   It may also have a `strict` option for `find()` itself (see below).
+ *   Only **ONE** plain `object` is supported.
  *   See {@link module:@lumjs/web-core/utils.getNested} for details.
+ * 
+ * If the `deep` option is `true`, the elements inside any _open_ shadow 
+ * roots will be included in the search, and any `string` selectors will
+ * be tested against every nested element using `element.matches()` 
+ * rather than using the `querySelector*` methods (which cannot see
+ * inside shadow roots). Selectors are still evaluated within the scope
+ * of the tree each element is in, so a selector cannot _cross_ a 
+ * shadow boundary (e.g. `my-widget button` will only match a button
+ * in the same tree as the `my-widget` element).
  * - A `FindResult` object instance to wrap the returned results in.
  *   See {@link module:@lumjs/web-core/query.FindResult} for details.
+ * - An `XPathQuery` object instance (see `xpath()`) to use an XPath 
+ *   expression instead of query selectors. If one is passed, any `string`
+ *   arguments will be ignored. The _multiple_ option defaults to `true`.
+ *   Only **ONE** `XPathQuery` argument is supported.
+ *   See {@link module:@lumjs/web-core/xpath.XPathQuery} for details.
  * 
- * At _least_ **ONE** `string` _OR_ `function` argument **MUST** be passed
- * for this function to be valid. It will return `null` or an empty array 
- * if neither of those arguments were specified.
+ * At _least_ **ONE** `string`, `function`, or `XPathQuery` argument 
+ * **MUST** be passed for this function to be valid. It will return `null` 
+ * or an empty array if none of those arguments were specified.
+ * 
+ * The syntax of each selector is checked before running the query;
+ * an invalid selector will throw the `SyntaxError` from the browser
+ * (the same as `querySelectorAll()` would).
+ * 
+ * Problems with the arguments are logged to the console (and added to
+ * the `logs` of the `FindResult` if one was passed). In _strict mode_
+ * the first problem (including an invalid selector) will throw a
+ * `FindArgumentError` instead. Strict mode is used if the `strict`
+ * option in the `getNested()` options object is `true`; if it's not
+ * set, the default is the value of {@link module:@lumjs/web-core/query.strict}
+ * (or `true` when using `find.strict()`).
  * 
  * @returns {mixed} Output depends on passed arguments.
  * 
@@ -73,13 +607,50 @@ exports.isSingular = isSingular;
  * - If the _multiple_ option is `false` then this will return either
  *   a single `Element` or `null` if no elements passed the tests.
  * 
- * - If a filter `function` was specified then multiple elements will be
- *   returned as an `Array`, otherwise the return value will be the 
- *   `NodeList` from `querySelectorAll()`.
+ * - If a filter `function`, a custom pseudo-class, or an `XPathQuery` was 
+ *   used then multiple elements will be returned as an `Array`, otherwise 
+ *   the return value will be the `NodeList` from `querySelectorAll()`.
+ * 
+ * @throws {SyntaxError} If a selector is invalid (when not in strict mode).
+ * @throws {module:@lumjs/web-core/query.FindArgumentError} If there was
+ * a problem with the arguments in strict mode.
  * 
  * @alias module:@lumjs/web-core/query.find
  */
 function find(...args)
+{
+  return runFind(args, exports.strict);
+}
+
+exports.find = find;
+
+/**
+ * Call `find()` in strict mode.
+ * 
+ * Any problem with the arguments will throw a `FindArgumentError`
+ * instead of being logged, regardless of the value of
+ * {@link module:@lumjs/web-core/query.strict}; the same as passing
+ * `strict: true` in the options.
+ * 
+ * This function is also available as `find.strict()`.
+ * 
+ * @alias module:@lumjs/web-core/query.findStrict
+ * @param  {...any} args - Same as `find()`
+ * @returns {mixed} Same as `find()`
+ * @throws {module:@lumjs/web-core/query.FindArgumentError}
+ * @see {@link module:@lumjs/web-core/query.find}
+ */
+function findStrict(...args)
+{
+  return runFind(args, true);
+}
+
+exports.findStrict = findStrict;
+
+def(find, 'strict', findStrict);
+
+// Private: the implementation of find() and findStrict().
+function runFind(args, defaultStrict)
 {
   const opts =
   {
@@ -88,14 +659,23 @@ function find(...args)
     selectors:  [],
     filters:    [],
     nestOpts: null,
+    xpath:    null,
   }
 
   // An optional result wrapper object.
   let resultObj = null;
 
-  // Log errors/warnings with a common format.
-  const log = (at, msg, data) => 
+  // The first invalid selector (if any).
+  let invalid = null;
+
+  // Will be set once all the arguments have been parsed.
+  let strict = null;
+  const pending = [];
+
+  // Log errors/warnings with a common format (or throw in strict mode).
+  const log = (at, code, data, cause) => 
   {
+    const msg = FIND_MESSAGES[code];
     const info =
     {
       at, 
@@ -103,13 +683,33 @@ function find(...args)
       args,
       data,
     }
-    
-    console.error(msg, info);
 
+    const entry = {code, msg, at, data, info};
+    if (cause) entry.cause = cause;
+
+    if (strict === null)
+    { // Wait until we know if we're in strict mode.
+      pending.push(entry);
+    }
+    else
+    {
+      report(entry);
+    }
+  }
+
+  const report = (entry) =>
+  {
     if (resultObj)
     {
-      resultObj.logs.push({msg, info})
+      resultObj.logs.push(entry);
+    }
+
+    if (strict)
+    {
+      throw new FindArgumentError(entry, args);
     }
+
+    console.error(entry.msg, entry.info);
   }
   
   for (let a=0; a < args.length; a++)
@@ -124,17 +724,33 @@ function find(...args)
       }
       else
       {
-        log(a, "the 'multiple' option was already set", arg);
+        log(a, FIND_CODES.MULTIPLE_SET, arg);
       }
     }
     else if (typeof arg === S)
     { // A string is always considered a selector.
+      const err = selectorError(arg);
+      if (err && invalid === null)
+      { // Thrown once we know if we're in strict mode.
+        invalid = {a, arg, err};
+      }
       opts.selectors.push(arg);
     }
     else if (typeof arg === F)
     { // A function is always considered a filter.
       opts.filters.push(arg);
     }
+    else if (arg instanceof XPathQuery)
+    { // An XPath expression.
+      if (opts.xpath === null)
+      {
+        opts.xpath = arg;
+      }
+      else
+      {
+        log(a, FIND_CODES.XPATH_SET, arg);
+      }
+    }
     else if (arg instanceof FindResult)
     { // A custom result instance.
       if (resultObj === null)
@@ -143,7 +759,7 @@ function find(...args)
       }
       else
       {
-        log(a, "a FindResult instance was already passed", arg);
+        log(a, FIND_CODES.RESULT_SET, arg);
       }
     }
     else if (isQueryable(arg))
@@ -154,7 +770,7 @@ function find(...args)
       }
       else
       {
-        log(a, "the 'node' option was already set", arg);
+        log(a, FIND_CODES.NODE_SET, arg);
       }
     }
     else if (isObj(arg))
@@ -165,25 +781,39 @@ function find(...args)
       }
       else
       {
-        log(a, "the 'nestOpts' option was already set", arg);
+        log(a, FIND_CODES.NESTOPTS_SET, arg);
       }
     }
     else
     {
-      log(a, "unsupported argument value", arg);
+      log(a, FIND_CODES.UNSUPPORTED, arg);
     }
 
   } // for args
 
+  strict = opts.nestOpts?.strict ?? defaultStrict;
+  for (const entry of pending)
+  { // In strict mode, the first problem will be thrown.
+    report(entry);
+  }
+
+  if (invalid)
+  { // A FindArgumentError in strict mode, or the SyntaxError otherwise.
+    if (strict) log(invalid.a, FIND_CODES.INVALID_SELECTOR, invalid.arg, 
+      invalid.err);
+    throw invalid.err;
+  }
+
   let found;
 
   const getResult = () => (resultObj 
     ? resultObj.found(found, opts) 
     : found);
 
-  if (opts.selectors.length === 0 && opts.filters.length === 0)
+  if (opts.selectors.length === 0 && opts.filters.length === 0
+    && opts.xpath === null)
   {
-    log(-1, "no selectors or filters specified", opts);
+    log(-1, FIND_CODES.NO_QUERY, opts);
     found = (opts.multiple ? [] : null);
     return getResult();
   }
@@ -197,11 +827,34 @@ function find(...args)
     }
   }
 
-  if (opts.selectors.length > 0)
+  if (opts.xpath)
+  { // Search using an XPath expression.
+    if (opts.selectors.length > 0)
+    {
+      log(-1, FIND_CODES.XPATH_SELECTORS, opts.selectors);
+    }
+
+    found = opts.xpath.nodes(opts.node, opts.multiple);
+  }
+  else if (opts.selectors.length > 0)
   { // Search using a query selector.
     const query = opts.selectors.join(',');
+    const custom = parsePseudos(query);
 
-    if (opts.multiple)
+    if (opts.nestOpts?.deep)
+    { // Test every nested element, including those in shadow roots.
+      const test = custom ? custom.matches : (node => node.matches(query));
+      const matched = getNested(opts.node, opts.nestOpts)
+        .filter(node => node instanceof Element && test(node));
+      found = opts.multiple ? matched : (matched[0] ?? null);
+    }
+    else if (custom)
+    { // Get the candidates with the native selector, then test them.
+      const matched = Array.from(opts.node.querySelectorAll(custom.native))
+        .filter(custom.matches);
+      found = opts.multiple ? matched : (matched[0] ?? null);
+    }
+    else if (opts.multiple)
     {
       found = opts.node.querySelectorAll(query);
     }
@@ -256,12 +909,10 @@ function find(...args)
   
   return getResult();
 
-} // find()
-
-exports.find = find;
+} // runFind()
 
 // Private constants.
-const OPT = 'options', FND = 'found', LOG = 'logs';
+const OPT = 'options', FND = 'found', LOG = 'logs', LSN = 'listeners';
 
 /**
  * An optional class for wrapping the results of `find()` in.
@@ -272,11 +923,14 @@ const OPT = 'options', FND = 'found', LOG = 'logs';
  * If this result object has not been initialized yet, this will be `null`.
  * 
  * @property {(Document|DocumentFragment|Element)} options.node - Parent node.
+ * May also be a `ShadowRoot` (which is a sub-class of `DocumentFragment`).
  * @property {boolean} options.multiple - If we looked for multiple results.
  * @property {string[]} options.selectors - Any query selectors passed.
  * @property {function[]} options.filters - Any filter functions passed.
  * @property {?object} options.nestOpts - Options for `getNested()` method.
  * Will be `null` if no options object was passed to `find()`.
+ * @property {?module:@lumjs/web-core/xpath.XPathQuery} options.xpath - 
+ * An XPath query if one was passed to `find()`.
  * 
  * @property {mixed} found - The unwrapped return value from `find()`.
  * 
@@ -284,7 +938,22 @@ const OPT = 'options', FND = 'found', LOG = 'logs';
  * a private setter `function` for internal use only and should never be 
  * called by anything other than the `find()` function itself.
  * 
- * @property {Array} logs - Copies of any error log messages from `find()`.
+ * @property {Array} logs - Any log entries from `find()`.
+ * 
+ * Each entry is an `object` with the following properties:
+ * 
+ * - `code` (string) One of the `FIND_CODES` values.
+ * - `msg` (string) A description of the problem.
+ * - `at` (number) The index of the argument with the problem
+ *   (or `-1` if it wasn't caused by a specific argument).
+ * - `data` (any) The argument value (or other relevant data).
+ * - `info` (object) Extra debugging info: `at`, `opts`, `args`, `data`.
+ * - `cause` (Error) The underlying error (only for some codes).
+ * 
+ * @property {Array} listeners - Event registration objects from `on()`.
+ * 
+ * Most methods that modify the elements found will return the instance
+ * itself, so calls may be chained together.
  * 
  */
 class FindResult
@@ -297,6 +966,7 @@ class FindResult
     def(this, FND, setFound);
     def(this, OPT, {value: null});
     def(this, LOG, {value: []});
+    def(this, LSN, {value: []});
   }
 
   /**
@@ -390,19 +1060,573 @@ class FindResult
     }
   }
 
-} // FindResult class
+  /**
+   * Iterate over all elements that were found.
+   * @returns {Iterator}
+   */
+  [Symbol.iterator]()
+  {
+    return this.results.values();
+  }
 
-exports.FindResult = FindResult;
+  /**
+   * Call a function for every element found.
+   * 
+   * @param {function} fn - The function to call.
+   * 
+   * Will be called with the element as `this`, and will be passed
+   * `(element, index, findResult)` as positional arguments.
+   * 
+   * @returns {module:@lumjs/web-core/query.FindResult} `this`
+   */
+  each(fn)
+  {
+    const results = this.results;
+    for (let i = 0; i < results.length; i++)
+    {
+      fn.call(results[i], results[i], i, this);
+    }
+    return this;
+  }
 
-/**
- * A **private** initialization method for `FindResult` objects.
- * 
- * On un-initialized `FindResult` instances, this will be the value 
- * of the `found` property. Is only callable _ONCE_ on an instance, 
- * as it overwrites the property with the return value from `find()`.
- * 
- * @name module:@lumjs/web-core/query.FindResult~setFound
- * @private
+  /**
+   * Map every element found to a new value.
+   * 
+   * @param {function} fn - The mapping function.
+   * 
+   * Called the same way as the `each()` callback,
+   * the return value will be added to the output array.
+   * 
+   * @returns {Array} The return values from `fn`.
+   */
+  map(fn)
+  {
+    return this.results.map((el, i) => fn.call(el, el, i, this));
+  }
+
+  /**
+   * Get a subset of the elements found.
+   * 
+   * @param {...(string|function)} tests - Tests to apply.
+   * 
+   * A `string` is a query selector passed to `matches()`,
+   * a `function` is a filter test the same as used by `find()`.
+   * 
+   * All tests must pass for an element to be included.
+   * 
+   * @returns {module:@lumjs/web-core/query.FindResult} A new instance.
+   */
+  filter(...tests)
+  {
+    const selectors = [], filters = [];
+    for (const test of tests)
+    {
+      if (typeof test === S)
+      {
+        selectors.push(test);
+        filters.push(el => matches(el, test));
+      }
+      else if (typeof test === F)
+      {
+        filters.push(test);
+      }
+      else
+      {
+        console.error("unsupported filter test", {test, tests, result: this});
+      }
+    }
+
+    const found = this.results.filter(el => filters.every(fn => fn(el)));
+    return derive(this, found, {selectors, filters});
+  }
+
+  /**
+   * Find matching descendants of every element found.
+   * 
+   * Calls `find()` with each element as the _queryable_ node
+   * and combines the (de-duplicated) results.
+   * 
+   * @param {...any} args - Arguments for `find()`.
+   * 
+   * Any argument except a _queryable_ node (it's already set) or
+   * a `FindResult` instance (one is created for each sub-query).
+   * 
+   * @returns {module:@lumjs/web-core/query.FindResult} A new instance.
+   */
+  find(...args)
+  {
+    const found = new Set();
+    let options = null;
+
+    for (const el of this.results)
+    {
+      const sub = findWith(el, ...args);
+      for (const item of sub.results)
+      {
+        found.add(item);
+      }
+      this.logs.push(...sub.logs);
+      options = sub.options;
+    }
+
+    return derive(this, Array.from(found), options);
+  }
+
+  /**
+   * Find the closest matching ancestor of every element found.
+   * 
+   * @param {...any} args - Arguments for `traverse.closest()`.
+   * 
+   * Generally a selector `string` or a filter `function`.
+   * Any `FindResult` argument will be ignored.
+   * 
+   * @returns {module:@lumjs/web-core/query.FindResult} A new instance;
+   * the results will be de-duplicated and will never contain `null`.
+   * @see {@link module:@lumjs/web-core/traverse.closest}
+   */
+  closest(...args)
+  {
+    args = args.filter(arg => !(arg instanceof FindResult));
+    const found = new Set();
+
+    for (const el of this.results)
+    {
+      const match = mods.traverse.closest(el, ...args);
+      if (match)
+      {
+        found.add(match);
+      }
+    }
+
+    return derive(this, Array.from(found), 
+    {
+      selectors: args.filter(arg => typeof arg === S),
+      filters: args.filter(arg => typeof arg === F),
+    });
+  }
+
+  /**
+   * Add classes to every element found.
+   * @param {...string} names - Class names to add.
+   * @returns {module:@lumjs/web-core/query.FindResult} `this`
+   */
+  addClass(...names)
+  {
+    return this.each(el => el.classList.add(...names));
+  }
+
+  /**
+   * Remove classes from every element found.
+   * @param {...string} names - Class names to remove.
+   * @returns {module:@lumjs/web-core/query.FindResult} `this`
+   */
+  removeClass(...names)
+  {
+    return this.each(el => el.classList.remove(...names));
+  }
+
+  /**
+   * Toggle a class on every element found.
+   * @param {string} name - Class name to toggle.
+   * @param {boolean} [force] Passed to `classList.toggle()`.
+   * @returns {module:@lumjs/web-core/query.FindResult} `this`
+   */
+  toggleClass(name, force)
+  {
+    return this.each(el => el.classList.toggle(name, force));
+  }
+
+  /**
+   * Get or set attributes.
+   * 
+   * @param {(string|object)} name - Attribute name.
+   * 
+   * If this is an `object`, every property will be set as an attribute
+   * on every element found, and `value` will be ignored.
+   * 
+   * @param {*} [value] Value to set.
+   * 
+   * If this is not specified, the attribute value from the
+   * `first` element will be returned.
+   * 
+   * If this is `null` or `false` the attribute will be removed.
+   * If this is `true` the attribute will be set to an empty string.
+   * Anything else will be set as the (stringified) attribute value.
+   * 
+   * @returns {mixed} The attribute value (or `null` if not found)
+   * when getting; `this` when setting.
+   */
+  attr(name, value)
+  {
+    if (isObj(name))
+    {
+      for (const key in name)
+      {
+        this.attr(key, name[key]);
+      }
+      return this;
+    }
+
+    if (value === undefined)
+    {
+      return this.first?.getAttribute(name) ?? null;
+    }
+
+    return this.each(el =>
+    {
+      if (value === null || value === false)
+      {
+        el.removeAttribute(name);
+      }
+      else
+      {
+        el.setAttribute(name, (value === true ? '' : value));
+      }
+    });
+  }
+
+  /**
+   * Get or set `data-*` attributes (via `element.dataset`).
+   * 
+   * @param {(string|object)} key - The _camelCase_ dataset key.
+   * 
+   * If this is an `object`, every property will be set in the
+   * dataset of every element found, and `value` will be ignored.
+   * 
+   * @param {*} [value] Value to set.
+   * 
+   * If this is not specified, the value from the `first` element's
+   * dataset will be returned. If this is `null` the key will be removed.
+   * 
+   * @returns {mixed} The dataset value (or `undefined` if not found)
+   * when getting; `this` when setting.
+   */
+  data(key, value)
+  {
+    if (isObj(key))
+    {
+      for (const k in key)
+      {
+        this.data(k, key[k]);
+      }
+      return this;
+    }
+
+    if (value === undefined)
+    {
+      return this.first?.dataset[key];
+    }
+
+    return this.each(el =>
+    {
+      if (value === null)
+      {
+        delete el.dataset[key];
+      }
+      else
+      {
+        el.dataset[key] = value;
+      }
+    });
+  }
+
+  /**
+   * Get or set CSS style properties.
+   * 
+   * @param {(string|object)} prop - The style property name.
+   * 
+   * May be either the _camelCase_ JS name, or the _kebab-case_ CSS name.
+   * 
+   * If this is an `object`, every property will be set in the style
+   * of every element found, and `value` will be ignored.
+   * 
+   * @param {*} [value] Value to set.
+   * 
+   * If this is not specified, the _computed style_ value from the
+   * `first` element will be returned. If this is `null` or an empty
+   * string, the inline style property will be removed.
+   * 
+   * @returns {mixed} The computed style value (or `undefined` if there
+   * were no elements found) when getting; `this` when setting.
+   */
+  css(prop, value)
+  {
+    if (isObj(prop))
+    {
+      for (const key in prop)
+      {
+        this.css(key, prop[key]);
+      }
+      return this;
+    }
+
+    const isVar = prop.includes('-');
+
+    if (value === undefined)
+    {
+      const el = this.first;
+      if (!el) return undefined;
+      const cs = getComputedStyle(el);
+      return (isVar ? cs.getPropertyValue(prop) : cs[prop]);
+    }
+
+    return this.each(el =>
+    {
+      if (isVar)
+      {
+        if (value === null || value === '')
+        {
+          el.style.removeProperty(prop);
+        }
+        else
+        {
+          el.style.setProperty(prop, value);
+        }
+      }
+      else
+      {
+        el.style[prop] = value ?? '';
+      }
+    });
+  }
+
+  /**
+   * Assign an event handler to every element found.
+   * 
+   * Uses `events.onEvent()` to register each element/event combo.
+   * 
+   * @param {string} events - Event name(s).
+   * 
+   * Will be trimmed and split on whitespace the same as `onEvents()`.
+   * 
+   * @param {...any} args - Further arguments for `onEvent()`.
+   * 
+   * Any `string` arguments here will be treated as delegation selectors,
+   * rather than as event names.
+   * 
+   * @returns {module:@lumjs/web-core/query.FindResult} `this`
+   * @see {@link module:@lumjs/web-core/events.onEvent}
+   */
+  on(events, ...args)
+  {
+    const enames = events.trim().split(WSP);
+    const regs = this[LSN];
+
+    this.each(target =>
+    {
+      for (const event of enames)
+      { // The same argument handling that onEvents() uses.
+        const opts = {target, event, off: true};
+        regs.push(onEvent(opts, ...args, opts));
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Remove event handlers that were assigned with `on()`.
+   * 
+   * @param {...(string|Element|function)} [filters] Optional filters.
+   * 
+   * - A `string` is one or more event names (split on whitespace).
+   * - An `Element` is a specific target element.
+   * - A `function` is a specific handler.
+   * 
+   * If any filters are specified, a registration must match at least
+   * one filter of every type passed for it to be removed.
+   * If no filters are specified, _all_ of the event handlers will be removed.
+   * 
+   * @returns {module:@lumjs/web-core/query.FindResult} `this`
+   */
+  off(...filters)
+  {
+    const events = new Set(), targets = new Set(), handlers = new Set();
+
+    for (const filter of filters)
+    {
+      if (typeof filter === S)
+      {
+        for (const en of filter.trim().split(WSP))
+        {
+          events.add(en);
+        }
+      }
+      else if (filter instanceof Element)
+      {
+        targets.add(filter);
+      }
+      else if (typeof filter === F)
+      {
+        handlers.add(filter);
+      }
+    }
+
+    const matches = (set, value) => (set.size === 0 || set.has(value));
+    const regs = this[LSN];
+
+    for (let i = regs.length-1; i >= 0; i--)
+    {
+      const reg = regs[i];
+      if (matches(events, reg.event)
+        && matches(targets, reg.target)
+        && matches(handlers, reg.handle))
+      {
+        reg.off();
+        regs.splice(i, 1);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Trigger an event on every element found.
+   * 
+   * @param {(Event|string)} event - Event to trigger.
+   * @param {object} [options] Options for `eventbuilder.trigger()`
+   * @returns {module:@lumjs/web-core/query.FindResult} `this`
+   * @see {@link module:@lumjs/web-core/eventbuilder.trigger}
+   */
+  trigger(event, options)
+  {
+    const results = this.results;
+    if (results.length > 0)
+    {
+      mods.eventbuilder.trigger(results, event, options);
+    }
+    return this;
+  }
+
+  /**
+   * Add content to the end of every element found.
+   * 
+   * @param {(string|object)} content - Content to add.
+   * 
+   * Anything supported by `content.addContent()`.
+   * 
+   * If there are multiple elements found, any `Node` content will be
+   * _cloned_ for every element except the last one.
+   * 
+   * Any errors from async content (see `content.addAsync()`) that are
+   * not handled by an `error` option will be logged to the console.
+   * 
+   * @returns {module:@lumjs/web-core/query.FindResult} `this`
+   * @see {@link module:@lumjs/web-core/content.addContent}
+   */
+  append(content)
+  {
+    return addEach(this, content, mods.content.POS.LAST);
+  }
+
+  /**
+   * Add content to the start of every element found.
+   * 
+   * @param {(string|object)} content - Content to add.
+   * 
+   * See `append()` for details.
+   * 
+   * @returns {module:@lumjs/web-core/query.FindResult} `this`
+   */
+  prepend(content)
+  {
+    return addEach(this, content, mods.content.POS.FIRST);
+  }
+
+  /**
+   * Remove every element found from the DOM.
+   * @returns {module:@lumjs/web-core/query.FindResult} `this`
+   */
+  remove()
+  {
+    return this.each(el => el.remove());
+  }
+
+} // FindResult class
+
+exports.FindResult = FindResult;
+
+/**
+ * Create a new `FindResult` derived from an existing one.
+ * @private
+ * @param {module:@lumjs/web-core/query.FindResult} parent - Original result.
+ * @param {Array} found - The elements for the new result.
+ * @param {?object} opts - Options to override in the new result.
+ * @returns {module:@lumjs/web-core/query.FindResult}
+ */
+function derive(parent, found, opts)
+{
+  const options = Object.assign(
+  {
+    node: document,
+    selectors: [],
+    filters: [],
+    nestOpts: null,
+    xpath: null,
+  }, parent.options, opts, {multiple: true});
+
+  return new FindResult().found(found, options);
+}
+
+/**
+ * Clone content so it may be added to more than one element.
+ * @private
+ * @param {*} content - Anything supported by `addContent()`.
+ * @returns {*} A clone of any `Node` content; anything else as-is.
+ */
+function cloneContent(content)
+{
+  if (content instanceof Node)
+  {
+    return content.cloneNode(true);
+  }
+  else if (Array.isArray(content) || isCollection(content, Node))
+  {
+    return Array.from(content, cloneContent);
+  }
+  else
+  {
+    return content;
+  }
+}
+
+/**
+ * Add content to every element in a `FindResult`.
+ * @private
+ * @param {module:@lumjs/web-core/query.FindResult} result - Targets.
+ * @param {*} content - Anything supported by `addContent()`.
+ * @param {string} pos - Position to add content at.
+ * @returns {module:@lumjs/web-core/query.FindResult} `result`
+ */
+function addEach(result, content, pos)
+{
+  const targets = result.results;
+  const last = targets.length - 1;
+  const promises = [];
+  for (let i = 0; i <= last; i++)
+  {
+    const item = (i === last) ? content : cloneContent(content);
+    const done = mods.content.addContent(targets[i], item, pos);
+    if (done) promises.push(done);
+  }
+
+  if (promises.length)
+  { // Nothing else can handle errors from async content.
+    Promise.all(promises).catch(err => console.error({err, content, result}));
+  }
+
+  return result;
+}
+
+/**
+ * A **private** initialization method for `FindResult` objects.
+ * 
+ * On un-initialized `FindResult` instances, this will be the value 
+ * of the `found` property. Is only callable _ONCE_ on an instance, 
+ * as it overwrites the property with the return value from `find()`.
+ * 
+ * @name module:@lumjs/web-core/query.FindResult~setFound
+ * @private
  * @param {mixed} found - Value to assign to `found` property.
  * @param {object} options - Value to assign to `options` property.
  * @returns {object} The `FindResult` instance itself.
@@ -444,3 +1668,1148 @@ exports.findWith = findWith;
 
 def(find, 'with', findWith);
 
+
+/**
+ * A live query that tracks matching elements over time.
+ * 
+ * Uses a `MutationObserver` to watch the root node, and re-runs the
+ * query whenever the subtree changes, comparing the results with the
+ * previous set of matches to determine which elements were added
+ * or removed.
+ * 
+ * You generally won't create instances of this directly, 
+ * but will use `find.live()` instead.
+ * 
+ * @alias module:@lumjs/web-core/query.LiveQuery
+ * 
+ * @property {Array} args - The arguments that will be passed to `find()`.
+ * @property {(Document|DocumentFragment|Element)} node - The root node
+ * that is being observed for changes.
+ * @property {object} options - The live query options.
+ * @property {?object} nestOpts - The `getNested()` options, if any.
+ * 
+ * If the `deep` option is `true`, any _open_ shadow roots in the subtree
+ * will also be observed for changes.
+ * 
+ * @property {Set} found - A set of all elements currently matched.
+ * @property {?MutationObserver} observer - The mutation observer;
+ * will be `null` once `disconnect()` has been called.
+ */
+class LiveQuery
+{
+  /**
+   * Create a new LiveQuery instance.
+   * 
+   * @param {...any} args - See `find.live()` for details.
+   */
+  constructor(...args)
+  {
+    const findArgs = [true];
+    let options = null, node = document, nestOpts = null;
+
+    for (const arg of args)
+    {
+      if (typeof arg === B)
+      { // Live queries always want multiple matches.
+        continue;
+      }
+      else if (options === null && isLiveOpts(arg))
+      { // Options for the live query itself.
+        options = arg;
+        continue;
+      }
+      else if (isQueryable(arg))
+      { // The node we'll be observing.
+        node = arg;
+      }
+      else if (nestOpts === null && isObj(arg) 
+        && !(arg instanceof FindResult) && !(arg instanceof XPathQuery))
+      { // Options for getNested().
+        nestOpts = arg;
+      }
+      findArgs.push(arg);
+    }
+
+    options = Object.assign({initial: true, attributes: true}, options);
+
+    def(this, 'args',     {value: findArgs});
+    def(this, 'node',     {value: node});
+    def(this, 'options',  {value: options});
+    def(this, 'nestOpts', {value: nestOpts});
+    def(this, 'found',    {value: new Set()});
+
+    const observer = new MutationObserver(() => this.refresh());
+    const observeOpts = {childList: true, subtree: true};
+
+    if (options.attributes)
+    {
+      observeOpts.attributes = true;
+      if (Array.isArray(options.attributeFilter))
+      {
+        observeOpts.attributeFilter = options.attributeFilter;
+      }
+    }
+
+    def(this, 'observer', {value: observer, writable: true});
+    def(this, OBS, {value: {opts: observeOpts, roots: new WeakSet()}});
+
+    observer.observe(node, observeOpts);
+    this.refresh(options.initial);
+  }
+
+  /**
+   * Is the observer still connected?
+   * @type {boolean}
+   */
+  get connected()
+  {
+    return (this.observer !== null);
+  }
+
+  /**
+   * The number of elements currently matched.
+   * @type {number}
+   */
+  get length()
+  {
+    return this.found.size;
+  }
+
+  /**
+   * An array of all elements currently matched.
+   * @type {Array}
+   */
+  get results()
+  {
+    return Array.from(this.found);
+  }
+
+  /**
+   * A new `FindResult` wrapping the elements currently matched.
+   * 
+   * As the live query changes, this will _not_ be updated;
+   * it is a snapshot of the matches at the time it was requested.
+   * 
+   * @type {module:@lumjs/web-core/query.FindResult}
+   */
+  get findResult()
+  {
+    const result = new FindResult();
+    return result.found(this.results, 
+    {
+      node: this.node,
+      multiple: true,
+      selectors: this.args.filter(arg => typeof arg === S),
+      filters: this.args.filter(arg => typeof arg === F),
+      nestOpts: this.nestOpts,
+      xpath: this.args.find(arg => arg instanceof XPathQuery) ?? null,
+    });
+  }
+
+  /**
+   * Iterate over the elements currently matched.
+   * @returns {Iterator}
+   */
+  [Symbol.iterator]()
+  {
+    return this.found.values();
+  }
+
+  /**
+   * Re-run the query and update the set of matched elements.
+   * 
+   * This is called automatically by the observer whenever the subtree
+   * changes, so it is unlikely you'll ever need to call it manually.
+   * 
+   * @param {boolean} [notify=true] Call the `added` and `removed` handlers?
+   * 
+   * @returns {module:@lumjs/web-core/query.LiveQuery} `this`
+   */
+  refresh(notify=true)
+  {
+    if (this.observer && this.nestOpts?.deep)
+    { // Shadow roots need to be observed separately.
+      const obs = this[OBS];
+      for (const el of getNested(this.node, {deep: true}))
+      {
+        const shadow = getShadowRoot(el);
+        if (shadow && !obs.roots.has(shadow))
+        {
+          obs.roots.add(shadow);
+          this.observer.observe(shadow, obs.opts);
+        }
+      }
+    }
+
+    const current = new Set(find(...this.args));
+    const {added, removed} = this.options;
+    const gone = [], fresh = [];
+
+    for (const el of this.found)
+    {
+      if (!current.has(el))
+      {
+        this.found.delete(el);
+        gone.push(el);
+      }
+    }
+
+    for (const el of current)
+    {
+      if (!this.found.has(el))
+      {
+        this.found.add(el);
+        fresh.push(el);
+      }
+    }
+
+    if (notify)
+    {
+      if (typeof removed === F)
+      {
+        for (const el of gone) removed.call(this, el, this);
+      }
+
+      if (typeof added === F)
+      {
+        for (const el of fresh) added.call(this, el, this);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Stop observing changes.
+   * 
+   * The elements that were matched at the time this is called
+   * will remain in the `found` set.
+   * 
+   * @returns {module:@lumjs/web-core/query.LiveQuery} `this`
+   */
+  disconnect()
+  {
+    if (this.observer)
+    {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    return this;
+  }
+
+} // LiveQuery class
+
+// Private property for LiveQuery observer state.
+const OBS = Symbol('observing');
+
+exports.LiveQuery = LiveQuery;
+
+// Private: is an argument a set of options for a live query?
+function isLiveOpts(arg)
+{
+  return (isObj(arg) && !isQueryable(arg) && !(arg instanceof FindResult)
+    && (typeof arg.added === F || typeof arg.removed === F));
+}
+
+/**
+ * Create a live query that tracks matching elements over time.
+ * 
+ * This function is also available as `find.live()`.
+ * 
+ * @alias module:@lumjs/web-core/query.findLive
+ * 
+ * @param {...any} args - Mostly the same as `find()` with a few changes.
+ * 
+ * - The _multiple_ option is always `true`, so any `boolean`
+ *   arguments will be ignored.
+ * - A `FindResult` instance is not supported.
+ * - The first plain `object` that has an `added` or `removed` function
+ *   will be used as the _live options_ (see below). Any other plain
+ *   `object` will be used as the `getNested()` options as usual.
+ * 
+ * @param {object} [args.options] Live options.
+ * 
+ * @param {function} [args.options.added] Called when an element matches.
+ * 
+ * Will be called with the `LiveQuery` as `this`, and passed
+ * `(element, liveQuery)` as positional arguments.
+ * 
+ * @param {function} [args.options.removed] Called when an element
+ * no longer matches (generally because it was removed from the DOM).
+ * 
+ * Called the same way as `added`.
+ * 
+ * @param {boolean} [args.options.initial=true] Call `added` for the
+ * elements that match when the live query is created?
+ * 
+ * @param {boolean} [args.options.attributes=true] Watch for attribute
+ * changes as well as added and removed nodes?
+ * 
+ * This is required for selectors that use classes or other attributes
+ * to work properly when those attributes are changed.
+ * 
+ * @param {string[]} [args.options.attributeFilter] Only watch for
+ * changes in specific attributes.
+ * 
+ * @returns {module:@lumjs/web-core/query.LiveQuery}
+ * 
+ * @example
+ * 
+ *   const live = find.live(container, 'button.action', 
+ *   {
+ *     added(btn) { btn.disabled = false; },
+ *     removed(btn) { console.log("button gone", btn); },
+ *   });
+ * 
+ *   // And then later when you're done with it.
+ *   live.disconnect();
+ * 
+ */
+function findLive(...args)
+{
+  return new LiveQuery(...args);
+}
+
+exports.findLive = findLive;
+
+def(find, 'live', findLive);
+
+/**
+ * An error thrown (well, rejected) by `waitFor()` and `waitForGone()`.
+ * 
+ * @alias module:@lumjs/web-core/query.WaitError
+ * 
+ * @property {string} reason - Either `"timeout"` or `"abort"`.
+ * @property {Array} args - The arguments passed to the wait function.
+ * @property {*} [cause] If `reason` is `"abort"`, this will be the
+ * `reason` from the `AbortSignal` that was used.
+ */
+class WaitError extends Error
+{
+  /**
+   * Create a new WaitError instance.
+   * 
+   * @param {string} message - The error message.
+   * @param {object} info - Additional info.
+   * @param {string} info.reason - The `reason` property.
+   * @param {Array} info.args - The `args` property.
+   * @param {*} [info.cause] The `cause` property.
+   */
+  constructor(message, info)
+  {
+    super(message, ('cause' in info ? {cause: info.cause} : undefined));
+    this.name = 'WaitError';
+    this.reason = info.reason;
+    this.args = info.args;
+  }
+}
+
+exports.WaitError = WaitError;
+
+// Private: is an argument a set of options for the wait functions?
+function isWaitOpts(arg)
+{
+  return (isObj(arg) && !isQueryable(arg) && !(arg instanceof FindResult)
+    && (typeof arg.timeout === N || arg.signal instanceof AbortSignal));
+}
+
+// Private: a short description of the query for error messages.
+function describeQuery(args)
+{
+  const desc = [];
+  for (const arg of args)
+  {
+    if (typeof arg === S)
+    {
+      desc.push(JSON.stringify(arg));
+    }
+    else if (arg instanceof XPathQuery)
+    {
+      desc.push(`xpath(${JSON.stringify(arg.expression)})`);
+    }
+    else if (typeof arg === F)
+    {
+      desc.push(`filter ${arg.name || '(anonymous)'}`);
+    }
+  }
+  return (desc.length ? desc.join(', ') : 'query');
+}
+
+/**
+ * The private implementation of `waitFor()` and `waitForGone()`.
+ * @private
+ * @param {Array} args - Arguments passed to the public function.
+ * @param {boolean} gone - Waiting for the elements to be gone?
+ * @returns {Promise}
+ */
+function waitUntil(args, gone)
+{
+  const findArgs = [], liveArgs = [];
+  let waitOpts = null;
+
+  for (let arg of args)
+  {
+    if (waitOpts === null && isWaitOpts(arg))
+    { // Any other options are for getNested().
+      const {timeout, signal, ...nestOpts} = arg;
+      waitOpts = {timeout, signal};
+      if (Object.keys(nestOpts).length === 0) continue;
+      arg = nestOpts;
+    }
+
+    findArgs.push(arg);
+    if (!(arg instanceof FindResult))
+    { // The live query can't use a FindResult.
+      liveArgs.push(arg);
+    }
+  }
+
+  const {timeout, signal} = waitOpts ?? {};
+  const what = describeQuery(findArgs);
+  const waitingFor = gone ? 'removal of' : 'element(s) matching';
+
+  return new Promise((resolve, reject) =>
+  {
+    let live = null, timer = null, done = false, removed = [];
+
+    const finish = (err) =>
+    {
+      if (done) return;
+      done = true;
+
+      if (live) live.disconnect();
+      if (timer !== null) clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+
+      if (err)
+      {
+        reject(err);
+      }
+      else
+      {
+        resolve(gone ? removed : find(...findArgs));
+      }
+    }
+
+    const onAbort = () => finish(new WaitError(
+      `Aborted waiting for ${waitingFor} ${what}`,
+      {reason: 'abort', args, cause: signal.reason}));
+
+    if (signal?.aborted)
+    {
+      return onAbort();
+    }
+
+    const liveOpts = {};
+
+    if (gone)
+    {
+      liveOpts.removed = function(el)
+      { // The array will be complete before any promise handlers run.
+        removed.push(el);
+        if (this.length === 0) finish();
+      }
+    }
+    else
+    {
+      liveOpts.added = () => finish();
+    }
+
+    live = new LiveQuery(...liveArgs, liveOpts);
+
+    if (done)
+    { // It was found during the initial query.
+      return live.disconnect();
+    }
+    else if (gone && live.length === 0)
+    { // There was nothing to begin with.
+      return finish();
+    }
+
+    if (signal)
+    {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    if (typeof timeout === N && timeout > 0)
+    {
+      timer = setTimeout(() => finish(new WaitError(
+        `Timed out after ${timeout}ms waiting for ${waitingFor} ${what}`,
+        {reason: 'timeout', args})), timeout);
+    }
+  });
+}
+
+/**
+ * Wait for elements matching a query to exist.
+ * 
+ * Uses a `LiveQuery` (and thus a `MutationObserver`) to watch for
+ * the elements rather than polling.
+ * 
+ * @param {...any} args - The same as `find()` with one addition:
+ * 
+ * The first plain `object` that has a `timeout` (number) or `signal` 
+ * (AbortSignal) property will be used as the _wait options_ 
+ * (see below). Any other properties in that object (like `deep`)
+ * will be used as the `getNested()` options, as will any other
+ * plain `object` as usual.
+ * 
+ * @param {object} [args.options] Wait options.
+ * 
+ * @param {number} [args.options.timeout] Time limit in milliseconds.
+ * 
+ * If the elements haven't been found by then, the promise will be
+ * rejected with a `WaitError` with a `reason` of `"timeout"`.
+ * 
+ * If not specified (or `0`), there will be no time limit.
+ * 
+ * @param {AbortSignal} [args.options.signal] A signal to cancel waiting.
+ * 
+ * If the signal is aborted, the promise will be rejected with a 
+ * `WaitError` with a `reason` of `"abort"`.
+ * 
+ * @returns {Promise} Resolves with the return value from calling 
+ * `find()` with the same arguments (minus the wait options) once 
+ * at least one matching element exists. If the elements already 
+ * exist, it will resolve immediately.
+ * 
+ * @alias module:@lumjs/web-core/query.waitFor
+ * 
+ * @example
+ * 
+ *   const dialog = await waitFor('#my-dialog', {timeout: 5000});
+ * 
+ */
+function waitFor(...args)
+{
+  return waitUntil(args, false);
+}
+
+exports.waitFor = waitFor;
+
+/**
+ * Wait for elements matching a query to be gone.
+ * 
+ * The counterpart to `waitFor()`, this waits until _no_ elements
+ * match the query (generally because they've been removed).
+ * 
+ * @param {...any} args - The same as `waitFor()`.
+ * 
+ * @returns {Promise} Resolves with an `Array` of the elements that
+ * were removed while waiting. If no elements matched the query to
+ * begin with, it will resolve immediately (with an empty array).
+ * 
+ * @alias module:@lumjs/web-core/query.waitForGone
+ */
+function waitForGone(...args)
+{
+  return waitUntil(args, true);
+}
+
+exports.waitForGone = waitForGone;
+
+/**
+ * Create an XPath query for use with `find()`.
+ * 
+ * Is an alias of the function from the `xpath` module.
+ * 
+ * @name module:@lumjs/web-core/query.xpath
+ * @function
+ * @see {@link module:@lumjs/web-core/xpath.xpath}
+ */
+exports.xpath = xpath;
+
+/**
+ * Get a primitive value from an XPath expression.
+ * 
+ * Is an alias of the function from the `xpath` module.
+ * 
+ * @name module:@lumjs/web-core/query.xpathValue
+ * @function
+ * @see {@link module:@lumjs/web-core/xpath.xpathValue}
+ */
+exports.xpathValue = xpathValue;
+
+exports.XPathQuery = XPathQuery;
+
+/**
+ * Default attributes used by `selectorFor()` to identify elements.
+ * @alias module:@lumjs/web-core/query.SELECTOR_ATTRS
+ * @type {string[]}
+ */
+const SELECTOR_ATTRS = Object.freeze(
+[
+  'data-testid', 'data-test', 'data-id', 'data-key', 'name',
+]);
+
+exports.SELECTOR_ATTRS = SELECTOR_ATTRS;
+
+/**
+ * Generate a selector that uniquely identifies an element.
+ * 
+ * The selector will be the shortest one found that when used with
+ * `find(root, selector)` will match _only_ the element. 
+ * The following are tried (in order) for each element:
+ * 
+ * - The `id` attribute, e.g. `#my-id`.
+ * - Any of the `preferAttrs`, e.g. `[data-testid="save"]`,
+ *   and then the same thing prefixed with the tag name.
+ * - A single class name, and then a class name prefixed with the
+ *   tag name, and then pairs of class names prefixed with the tag name.
+ * - The tag name.
+ * 
+ * If none of those are unique, then the parent element is tried
+ * the same way (with a `>` combinator), until a unique selector is
+ * found. Each element on the path will use the first of the above that
+ * is unique amongst its siblings, falling back on `:nth-child()`.
+ * 
+ * As an `id` selector with nothing else is a _singular_ selector
+ * (see `isSingular()`) the return value from `find()` will be the
+ * element itself in that case, otherwise it will be a list with
+ * the element as its only item.
+ * 
+ * @param {Element} elem - The element to generate a selector for.
+ * 
+ * @param {object} [opts] Options
+ * 
+ * @param {(Document|DocumentFragment|Element)} [opts.root=document]
+ * The root node the selector will be used with.
+ * 
+ * @param {string[]} [opts.preferAttrs] Attributes to try.
+ * 
+ * Default is `SELECTOR_ATTRS`.
+ * 
+ * @param {boolean} [opts.classes=true] Try using class names?
+ * 
+ * @param {number} [opts.maxDepth=99] Max number of ancestors to use.
+ * 
+ * @returns {?string} The selector; or `null` if a unique selector
+ * could not be found within the `maxDepth` limit.
+ * 
+ * @throws {TypeError} If `elem` is not an element within the `root`.
+ * 
+ * @alias module:@lumjs/web-core/query.selectorFor
+ */
+function selectorFor(elem, opts={})
+{
+  const root = opts.root ?? document;
+
+  if (!(elem instanceof Element) || !isQueryable(root) 
+    || (elem !== root && !root.contains(elem)))
+  {
+    console.error({elem, opts});
+    throw new TypeError("elem must be an Element within the root");
+  }
+
+  if (elem === root)
+  {
+    return ':scope';
+  }
+
+  const maxDepth = opts.maxDepth ?? 99;
+  const candidates = selectorCandidates(opts);
+
+  const unique = (sel) =>
+  {
+    try
+    {
+      const found = root.querySelectorAll(sel);
+      return (found.length === 1 && found[0] === elem);
+    }
+    catch (err)
+    { // An invalid selector can't be unique.
+      return false;
+    }
+  }
+
+  let path = '';
+
+  for (let node = elem, depth = 0; ; depth++)
+  {
+    const below = path ? ' > ' + path : '';
+
+    for (const cand of candidates(node))
+    {
+      if (unique(cand + below))
+      {
+        return cand + below;
+      }
+    }
+
+    path = siblingSelector(node, candidates) + below;
+    const parent = node.parentNode;
+
+    if (parent === root)
+    { // We've run out of ancestors.
+      const scoped = (root instanceof Element) ? ':scope > ' + path : path;
+      return unique(scoped) ? scoped : null;
+    }
+    else if (!(parent instanceof Element) || depth >= maxDepth)
+    { // Nowhere else to go.
+      return null;
+    }
+
+    node = parent;
+  }
+}
+
+exports.selectorFor = selectorFor;
+
+/**
+ * Build a function that generates candidate selectors for an element.
+ * @private
+ * @param {object} opts - Options from `selectorFor()`.
+ * @returns {function} A generator function.
+ */
+function selectorCandidates(opts)
+{
+  const attrs = opts.preferAttrs ?? SELECTOR_ATTRS;
+  const useClasses = opts.classes ?? true;
+
+  return function* (node)
+  {
+    const tag = cssEscape(node.localName);
+
+    if (node.id)
+    {
+      yield '#' + cssEscape(node.id);
+    }
+
+    for (const attr of attrs)
+    {
+      if (node.hasAttribute(attr))
+      {
+        const val = cssString(node.getAttribute(attr));
+        const sel = `[${cssEscape(attr)}=${val}]`;
+        yield sel;
+        yield tag + sel;
+      }
+    }
+
+    if (useClasses && node.classList.length > 0)
+    {
+      const classes = Array.from(node.classList, c => '.' + cssEscape(c));
+
+      yield* classes;
+
+      for (const c of classes)
+      {
+        yield tag + c;
+      }
+
+      const pairs = classes.slice(0, 5);
+      for (let i = 0; i < pairs.length; i++)
+      {
+        for (let j = i+1; j < pairs.length; j++)
+        {
+          yield tag + pairs[i] + pairs[j];
+        }
+      }
+    }
+
+    yield tag;
+  }
+}
+
+/**
+ * Get a selector that is unique amongst an element's siblings.
+ * @private
+ * @param {Element} node - The element.
+ * @param {function} candidates - Generator from `selectorCandidates()`.
+ * @returns {string}
+ */
+function siblingSelector(node, candidates)
+{
+  const siblings = node.parentNode?.children ?? [node];
+
+  for (const cand of candidates(node))
+  {
+    let count = 0;
+    for (const sib of siblings)
+    {
+      if (sib.matches(cand) && ++count > 1) break;
+    }
+
+    if (count === 1)
+    {
+      return cand;
+    }
+  }
+
+  const pos = Array.prototype.indexOf.call(siblings, node) + 1;
+  return `${cssEscape(node.localName)}:nth-child(${pos})`;
+}
+
+// Private: a quoted CSS string value.
+function cssString(value)
+{
+  return '"' + value.replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ') + '"';
+}
+
+/**
+ * Generate an XPath expression that uniquely identifies an element.
+ * 
+ * Is an alias of the function from the `xpath` module.
+ * 
+ * @name module:@lumjs/web-core/query.xpathFor
+ * @function
+ * @see {@link module:@lumjs/web-core/xpath.xpathFor}
+ */
+exports.xpathFor = xpathFor;
+
+/**
+ * The default attribute used by `findByTestId()`.
+ * 
+ * This may be changed to use a different attribute by default.
+ * 
+ * @alias module:@lumjs/web-core/query.testIdAttribute
+ * @type {string}
+ */
+exports.testIdAttribute = 'data-testid';
+
+/**
+ * Build a text matching function.
+ * @private
+ * @param {(string|RegExp|function)} value - The value to match.
+ * @param {boolean} exact - Use exact matching for strings?
+ * @returns {function} A function that will be passed the text 
+ * and the element, and returns a `boolean`.
+ */
+function textMatcher(value, exact=true)
+{
+  if (value instanceof RegExp)
+  {
+    return (text) => 
+    {
+      value.lastIndex = 0;
+      return value.test(text);
+    }
+  }
+  else if (typeof value === F)
+  {
+    return value;
+  }
+
+  value = aria.normalize(String(value));
+
+  if (exact)
+  {
+    return (text) => (aria.normalize(text) === value);
+  }
+  else
+  {
+    const lcValue = value.toLowerCase();
+    return (text) => aria.normalize(text).toLowerCase().includes(lcValue);
+  }
+}
+
+/**
+ * The private implementation of the `findBy*()` functions.
+ * @private
+ * @param {Array} args - Arguments passed to the public function.
+ * @param {object} spec - Details for the specific function.
+ * @param {string} spec.name - Public function name (for errors).
+ * @param {?string} spec.selector - Selector to narrow the candidates.
+ * @param {function} spec.test - Build the test function;
+ * will be passed `(match, opts, value)` and must return a function
+ * which will be passed an element and returns a `boolean`.
+ * @param {boolean} [spec.hidden=true] Default for the `hidden` option.
+ * @returns {mixed} The return value from `find()`.
+ */
+function findBy(args, spec)
+{
+  const findArgs = [];
+  let value = null, opts = null, hasSelectors = false;
+  let single = false, resultObj = null;
+
+  for (const arg of args)
+  {
+    if (arg === false)
+    { // Handled after the search; see below.
+      single = true;
+      continue;
+    }
+    else if (arg instanceof FindResult && resultObj === null)
+    {
+      resultObj = arg;
+      continue;
+    }
+    else if (value === null && (typeof arg === S || arg instanceof RegExp))
+    { // The value we're looking for.
+      value = arg;
+      continue;
+    }
+    else if (opts === null && isObj(arg) && !isQueryable(arg)
+      && !(arg instanceof FindResult) && !(arg instanceof XPathQuery))
+    { // Our options (also passed to find() as the getNested() options).
+      opts = arg;
+    }
+    else if (typeof arg === S)
+    {
+      hasSelectors = true;
+    }
+    findArgs.push(arg);
+  }
+
+  if (value === null)
+  {
+    console.error({args});
+    throw new TypeError(`${spec.name}() requires a string or RegExp`);
+  }
+
+  opts = opts ?? {};
+
+  const match = textMatcher(value, opts.exact ?? true);
+  const test = spec.test(match, opts, value);
+  const hidden = opts.hidden ?? spec.hidden ?? true;
+  const sel = spec.selector;
+
+  if (sel && !hasSelectors)
+  { // Use our selector to narrow down the candidates.
+    findArgs.push(sel);
+  }
+  else if (sel)
+  { // Can't join it with the other selectors, use it as a filter.
+    findArgs.push(el => el.matches(sel));
+  }
+
+  findArgs.push(el => ((hidden || !aria.isInaccessible(el)) && test(el)));
+
+  if (!single)
+  {
+    return (resultObj ? find(resultObj, ...findArgs) : find(...findArgs));
+  }
+
+  // find() only tests the first candidate when not looking for multiple
+  // matches, so we search for all of them and return the first one.
+  const all = find(new FindResult(), true, ...findArgs);
+  if (resultObj)
+  {
+    resultObj.logs.push(...all.logs);
+    return resultObj.found(all.first,
+      Object.assign({}, all.options, {multiple: false}));
+  }
+  return all.first;
+}
+
+// Private: ARIA state options for findByRole().
+function ariaStates(el, opts)
+{
+  const bool = (attr, prop) =>
+  {
+    const val = el.getAttribute(attr);
+    if (val !== null) return (val === 'true' || val === 'mixed');
+    return (prop ? !!el[prop] : false);
+  }
+
+  if (opts.level !== undefined)
+  {
+    const level = Number(el.getAttribute('aria-level')) 
+      || (/^h[1-6]$/.test(el.localName) ? Number(el.localName[1]) : NaN);
+    if (level !== opts.level) return false;
+  }
+
+  if (opts.checked !== undefined 
+    && bool('aria-checked', 'checked') !== opts.checked) return false;
+  if (opts.selected !== undefined 
+    && bool('aria-selected', 'selected') !== opts.selected) return false;
+  if (opts.pressed !== undefined 
+    && bool('aria-pressed') !== opts.pressed) return false;
+  if (opts.expanded !== undefined
+    && bool('aria-expanded', 'open') !== opts.expanded) return false;
+
+  return true;
+}
+
+/**
+ * Find elements by their ARIA role.
+ * 
+ * @param {...any} args - Mostly the same as `find()` with a few changes:
+ * 
+ * - The first `string` (or a `RegExp`) argument is the role to find.
+ *   If it is a `string`, it must be an exact match.
+ *   Any further `string` arguments will be used as selectors as usual.
+ * - The first plain `object` is used as the options for this function,
+ *   as well as the `getNested()` options for `find()`.
+ * - If `false` is passed, the first element that passes all of the tests
+ *   will be returned (or `null` if none did). Any other `boolean` values
+ *   are passed to `find()` as usual.
+ * 
+ * Roles are determined using `aria.getRole()`, so both explicit
+ * `role` attributes and the implicit roles of HTML elements are used.
+ * 
+ * @param {object} [args.options] Options
+ * 
+ * @param {(string|RegExp|function)} [args.options.name] Accessible name.
+ * 
+ * If specified, the accessible name of the element (as determined by
+ * `aria.getAccessibleName()`) must match. A `function` will be passed
+ * the name and the element and must return a `boolean`.
+ * 
+ * @param {boolean} [args.options.exact=true] Exact string matching?
+ * 
+ * If `true`, strings must match exactly (after whitespace normalization).
+ * If `false`, a case-insensitive substring match is used instead.
+ * Applies to the `name` option (the role itself always uses exact
+ * matching) as well as the value for the other `findBy*()` functions.
+ * 
+ * @param {boolean} [args.options.hidden=false] Include hidden elements?
+ * 
+ * By default elements that are inaccessible (see `aria.isInaccessible()`)
+ * are excluded. Set this to `true` to include them.
+ * 
+ * @param {number} [args.options.level] Heading level (`aria-level`).
+ * @param {boolean} [args.options.checked] Checked state.
+ * @param {boolean} [args.options.selected] Selected state.
+ * @param {boolean} [args.options.pressed] Pressed state.
+ * @param {boolean} [args.options.expanded] Expanded state.
+ * 
+ * @returns {mixed} The return value from `find()`.
+ * 
+ * @alias module:@lumjs/web-core/query.findByRole
+ * 
+ * @example
+ * 
+ *   const saveBtn = findByRole('button', {name: 'Save'}, false);
+ *   const headings = findByRole(main, 'heading', {level: 2});
+ * 
+ */
+function findByRole(...args)
+{
+  return findBy(args,
+  {
+    name: 'findByRole',
+    hidden: false,
+    test(match, opts, role)
+    {
+      const roleMatch = textMatcher(role);
+      const nameMatch = (opts.name === undefined) ? null
+        : textMatcher(opts.name, opts.exact ?? true);
+
+      return (el) =>
+      {
+        const elRole = aria.getRole(el);
+        if (elRole === null || !roleMatch(elRole, el)) return false;
+        if (nameMatch && !nameMatch(aria.getAccessibleName(el), el))
+        {
+          return false;
+        }
+        return ariaStates(el, opts);
+      }
+    },
+  });
+}
+
+exports.findByRole = findByRole;
+
+/**
+ * Find elements by the text of their labels.
+ * 
+ * Uses `aria.getLabels()` so `aria-labelledby`, `aria-label`, 
+ * and associated `<label>` elements are all supported.
+ * 
+ * @param {...any} args - The same as `findByRole()`, except that
+ * the first `string` (or `RegExp`) is the label text to find, and the
+ * only options are `exact` and `hidden` (which defaults to `true`).
+ * 
+ * @returns {mixed} The return value from `find()`.
+ * @alias module:@lumjs/web-core/query.findByLabelText
+ */
+function findByLabelText(...args)
+{
+  return findBy(args,
+  {
+    name: 'findByLabelText',
+    test: (match) => (el => aria.getLabels(el).some(t => match(t, el))),
+  });
+}
+
+exports.findByLabelText = findByLabelText;
+
+/**
+ * Find elements by their text content.
+ * 
+ * Only the element's _own_ text nodes are used, so a parent element
+ * won't match just because one of its children does.
+ * 
+ * @param {...any} args - The same as `findByLabelText()`, with one
+ * extra option:
+ * 
+ * @param {(string|false)} [args.options.ignore="script, style"]
+ * A selector for elements to ignore, or `false` to not ignore any.
+ * 
+ * @returns {mixed} The return value from `find()`.
+ * @alias module:@lumjs/web-core/query.findByText
+ */
+function findByText(...args)
+{
+  return findBy(args,
+  {
+    name: 'findByText',
+    test(match, opts)
+    {
+      const ignore = opts.ignore ?? 'script, style';
+      return (el) =>
+      {
+        if (ignore && el.matches(ignore)) return false;
+        let text = '';
+        for (const node of el.childNodes)
+        {
+          if (node.nodeType === Node.TEXT_NODE) text += node.data;
+        }
+        return (text.trim() !== '' && match(text, el));
+      }
+    },
+  });
+}
+
+exports.findByText = findByText;
+
+/**
+ * Find elements by their `placeholder` attribute.
+ * 
+ * @param {...any} args - The same as `findByLabelText()`.
+ * @returns {mixed} The return value from `find()`.
+ * @alias module:@lumjs/web-core/query.findByPlaceholder
+ */
+function findByPlaceholder(...args)
+{
+  return findBy(args,
+  {
+    name: 'findByPlaceholder',
+    selector: '[placeholder]',
+    test: (match) => (el => match(el.getAttribute('placeholder'), el)),
+  });
+}
+
+exports.findByPlaceholder = findByPlaceholder;
+
+/**
+ * Find elements by their test id attribute.
+ * 
+ * @param {...any} args - The same as `findByLabelText()`, with one
+ * extra option:
+ * 
+ * @param {string} [args.options.attr] The attribute to use.
+ * 
+ * Defaults to the value of `testIdAttribute` (`"data-testid"`).
+ * 
+ * @returns {mixed} The return value from `find()`.
+ * @alias module:@lumjs/web-core/query.findByTestId
+ */
+function findByTestId(...args)
+{
+  const opts = args.find(arg => isObj(arg) && !isQueryable(arg)
+    && !(arg instanceof FindResult) && !(arg instanceof XPathQuery)
+    && !(arg instanceof RegExp));
+  const attr = opts?.attr ?? exports.testIdAttribute;
+
+  return findBy(args,
+  {
+    name: 'findByTestId',
+    selector: `[${cssEscape(attr)}]`,
+    test: (match) => (el => match(el.getAttribute(attr), el)),
+  });
+}
+
+exports.findByTestId = findByTestId;
@@ -0,0 +1,352 @@
+/**
+ * An allow-list based HTML sanitizer.
+ * 
+ * Used by `content.addHTML()` and `parser.parseHTML()` when their
+ * `sanitize` option is enabled (or when enabled globally using the
+ * `defaults` object in this module).
+ * 
+ * Any elements not in the allowed list of tags will be _unwrapped_
+ * (the element is removed, but its children are kept), except for
+ * those in the `dropContent` list, which are removed entirely.
+ * Any attributes not in the allowed lists are removed, as are
+ * _all_ event handler (`on*`) attributes, and any URL attributes
+ * using a scheme (such as `javascript:`) that is not allowed.
+ * 
+ * @module @lumjs/web-core/sanitize
+ */
+"use strict";
+
+const core = require('@lumjs/core');
+const {isObj} = core.types;
+
+const {toHTML} = require('./trusted');
+
+/**
+ * A sanitizer policy.
+ * 
+ * @typedef {object} module:@lumjs/web-core/sanitize~Policy
+ * 
+ * @prop {string[]} tags - Elements (by lowercase tag name) to allow.
+ * 
+ * Only elements in the HTML namespace are allowed, so any SVG or MathML
+ * elements will always be unwrapped, even if their names are listed.
+ * @prop {string[]} attributes - Attributes allowed on any element.
+ * @prop {object} tagAttributes - Extra attributes for specific elements.
+ * 
+ * Each key is a lowercase tag name, and the value is an array
+ * of attribute names allowed for that element.
+ * 
+ * @prop {string[]} urlAttributes - Attributes that contain URLs.
+ * 
+ * If allowed by the other rules, the URLs in these attributes must
+ * either be relative, or use one of the `schemes` allowed.
+ * 
+ * @prop {string[]} schemes - URL schemes (without the `:`) to allow.
+ * @prop {boolean} dataAttributes - Allow any `data-*` attributes?
+ * @prop {boolean} ariaAttributes - Allow any `aria-*` attributes?
+ * @prop {string[]} dropContent - Elements removed along with their content.
+ * @prop {boolean} comments - Keep comment nodes?
+ */
+
+/**
+ * The default sanitizer policy.
+ * 
+ * Allows most text-level and structural elements, as well as links,
+ * images and tables; but no forms, scripts, styles, or embedded content.
+ * 
+ * This may be modified to change the default policy globally.
+ * 
+ * @alias module:@lumjs/web-core/sanitize.DEFAULT_POLICY
+ * @type {module:@lumjs/web-core/sanitize~Policy}
+ */
+const DEFAULT_POLICY =
+{
+  tags:
+  [
+    'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo',
+    'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+    'data', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em',
+    'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'main', 'mark', 'nav',
+    'ol', 'p', 'pre', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'section',
+    'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody',
+    'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr',
+  ],
+  attributes:
+  [
+    'class', 'dir', 'hidden', 'id', 'lang', 'role', 'title', 'translate',
+  ],
+  tagAttributes:
+  {
+    a: ['href', 'hreflang', 'rel', 'target'],
+    blockquote: ['cite'],
+    col: ['span'],
+    colgroup: ['span'],
+    data: ['value'],
+    del: ['cite', 'datetime'],
+    details: ['open'],
+    img: ['alt', 'decoding', 'height', 'loading', 'src', 'width'],
+    ins: ['cite', 'datetime'],
+    li: ['value'],
+    ol: ['reversed', 'start', 'type'],
+    q: ['cite'],
+    td: ['colspan', 'headers', 'rowspan'],
+    th: ['abbr', 'colspan', 'headers', 'rowspan', 'scope'],
+    time: ['datetime'],
+  },
+  urlAttributes:
+  [
+    'action', 'background', 'cite', 'formaction', 'href', 'longdesc',
+    'poster', 'src', 'xlink:href',
+  ],
+  schemes: ['http', 'https', 'mailto', 'tel'],
+  dataAttributes: true,
+  ariaAttributes: true,
+  dropContent:
+  [
+    'embed', 'frame', 'frameset', 'iframe', 'noembed', 'noframes',
+    'noscript', 'object', 'script', 'style', 'template', 'title',
+  ],
+  comments: false,
+}
+
+/**
+ * Module-level defaults.
+ * 
+ * @alias module:@lumjs/web-core/sanitize.defaults
+ * @type {object}
+ * 
+ * @prop {boolean} enabled - Sanitize by default?
+ * 
+ * If `true`, then any functions with a `sanitize` option will use
+ * the default policy unless `sanitize: false` is explicitly passed.
+ * The default value is `false`.
+ * 
+ * @prop {module:@lumjs/web-core/sanitize~Policy} policy - Default policy.
+ * 
+ * This is set to `DEFAULT_POLICY` initially, but may be replaced
+ * with a custom policy object.
+ */
+const defaults =
+{
+  enabled: false,
+  policy: DEFAULT_POLICY,
+}
+
+/**
+ * Get the policy to use for a `sanitize` option.
+ * 
+ * @param {(boolean|object)} [option] The value of the `sanitize` option.
+ * 
+ * - `true` will use the default policy.
+ * - `false` will disable sanitizing (returns `null`).
+ * - An `object` will be used as a policy; any properties not specified
+ *   in it will be taken from the default policy.
+ * - Anything else will use the default policy if `defaults.enabled`
+ *   is `true`, or disable sanitizing otherwise.
+ * 
+ * @returns {?module:@lumjs/web-core/sanitize~Policy}
+ * @alias module:@lumjs/web-core/sanitize.getPolicy
+ */
+function getPolicy(option)
+{
+  if (option === true)
+  {
+    return defaults.policy;
+  }
+  else if (option === false)
+  {
+    return null;
+  }
+  else if (isObj(option))
+  {
+    return Object.assign({}, defaults.policy, option);
+  }
+  else
+  {
+    return (defaults.enabled ? defaults.policy : null);
+  }
+}
+
+/**
+ * Is a URL allowed by a policy?
+ * 
+ * @param {string} url - The URL to test.
+ * @param {(boolean|object)} [policy=true] A `sanitize` option value;
+ * see `getPolicy()` for details.
+ * 
+ * @returns {boolean} Will be `true` if the URL is relative, or uses
+ * one of the `schemes` in the policy; or if sanitizing is disabled.
+ * 
+ * @alias module:@lumjs/web-core/sanitize.isSafeURL
+ */
+function isSafeURL(url, policy=true)
+{
+  policy = getPolicy(policy);
+  return (policy ? allowedURL(url, policy) : true);
+}
+
+// Private: the implementation of isSafeURL() once we have a policy.
+function allowedURL(url, policy)
+{
+  // Browsers ignore control characters and whitespace in schemes.
+  url = String(url).replace(/[\u0000- \u007F-\u009F]/g, '');
+
+  const scheme = url.match(/^([a-z][a-z0-9+.\-]*):/i);
+  if (!scheme)
+  { // A relative URL.
+    return true;
+  }
+
+  return policy.schemes.includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Sanitize the contents of a node (in place).
+ * 
+ * @param {Node} node - The node to sanitize.
+ * 
+ * Usually a `DocumentFragment` or `Element`. Only the _descendants_ of
+ * the node are sanitized, the node itself (and its attributes) are left
+ * as is. The contents of any `<template>` elements will be sanitized too.
+ * 
+ * @param {(boolean|object)} [policy=true] A `sanitize` option value;
+ * see `getPolicy()` for details.
+ * 
+ * @returns {Node} The `node`.
+ * @alias module:@lumjs/web-core/sanitize.sanitizeNode
+ */
+function sanitizeNode(node, policy=true)
+{
+  policy = getPolicy(policy);
+  if (policy)
+  {
+    cleanChildren(node, policy);
+  }
+  return node;
+}
+
+// Private: only elements in the HTML namespace are allowed.
+const HTML_NS = 'http://www.w3.org/1999/xhtml';
+
+// Private: sanitize the children of a node.
+function cleanChildren(node, policy)
+{
+  for (const child of Array.from(node.childNodes))
+  {
+    if (child.nodeType === Node.TEXT_NODE)
+    {
+      continue;
+    }
+    else if (child.nodeType === Node.COMMENT_NODE && policy.comments)
+    {
+      continue;
+    }
+    else if (!(child instanceof Element))
+    { // Comments, processing instructions, etc.
+      child.remove();
+      continue;
+    }
+
+    const tag = child.localName.toLowerCase();
+
+    if (policy.dropContent.includes(tag))
+    {
+      child.remove();
+    }
+    else if (!policy.tags.includes(tag) || child.namespaceURI !== HTML_NS)
+    { // Keep the (sanitized) content, but not the element itself.
+      cleanChildren(child, policy);
+      child.replaceWith(...child.childNodes);
+    }
+    else
+    {
+      cleanAttributes(child, tag, policy);
+      cleanChildren(child, policy);
+      if (child.content instanceof DocumentFragment)
+      { // A template element.
+        cleanChildren(child.content, policy);
+      }
+    }
+  }
+}
+
+// Private: remove any attributes not allowed by a policy.
+function cleanAttributes(elem, tag, policy)
+{
+  const tagAttrs = policy.tagAttributes[tag] ?? [];
+
+  for (const attr of Array.from(elem.attributes))
+  {
+    const name = attr.name.toLowerCase();
+
+    const allowed = !name.startsWith('on')
+      && (policy.attributes.includes(name)
+      || tagAttrs.includes(name)
+      || (policy.dataAttributes && name.startsWith('data-'))
+      || (policy.ariaAttributes && name.startsWith('aria-')));
+
+    if (!allowed
+      || (policy.urlAttributes.includes(name)
+      && !allowedURL(attr.value, policy)))
+    {
+      elem.removeAttributeNode(attr);
+    }
+  }
+}
+
+/**
+ * Parse and sanitize HTML into a `DocumentFragment`.
+ * 
+ * The HTML is parsed using an (inert) `<template>` element,
+ * so no scripts will run and no resources will be loaded.
+ * 
+ * @param {(string|TrustedHTML)} html - The HTML source.
+ * @param {(boolean|object)} [policy=true] A `sanitize` option value;
+ * see `getPolicy()` for details.
+ * 
+ * @returns {DocumentFragment} The sanitized content.
+ * @alias module:@lumjs/web-core/sanitize.sanitizeFragment
+ */
+function sanitizeFragment(html, policy=true)
+{
+  const tmpl = inertTemplate(html, policy);
+  return document.importNode(tmpl.content, true);
+}
+
+// Private: parse and sanitize HTML in a template element.
+function inertTemplate(html, policy)
+{
+  const tmpl = document.createElement('template');
+  tmpl.innerHTML = toHTML(html);
+  // Must be sanitized before being imported into the active document.
+  sanitizeNode(tmpl.content, policy);
+  return tmpl;
+}
+
+/**
+ * Sanitize an HTML string.
+ * 
+ * @param {(string|TrustedHTML)} html - The HTML source.
+ * @param {(boolean|object)} [policy=true] A `sanitize` option value;
+ * see `getPolicy()` for details.
+ * 
+ * @returns {string} The sanitized HTML source.
+ * @alias module:@lumjs/web-core/sanitize.sanitizeHTML
+ * 
+ * @example
+ * 
+ *   const safe = sanitizeHTML('<a href="javascript:x()" onclick="y()">hi</a>');
+ *   // safe === '<a>hi</a>'
+ * 
+ */
+function sanitizeHTML(html, policy=true)
+{
+  return inertTemplate(html, policy).innerHTML;
+}
+
+module.exports =
+{
+  DEFAULT_POLICY, defaults, getPolicy, isSafeURL,
+  sanitizeNode, sanitizeFragment, sanitizeHTML,
+}
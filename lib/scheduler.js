@@ -0,0 +1,152 @@
+/**
+ * A frame-synchronised scheduler for DOM reads and writes.
+ * 
+ * Reading layout information (like `clientWidth` or computed styles)
+ * right after changing the DOM forces the browser to recalculate the
+ * layout immediately; doing that repeatedly (_layout thrashing_) is slow.
+ * 
+ * Tasks queued with `measure()` (reads) and `mutate()` (writes) are run
+ * together on the next animation frame: all of the `measure` tasks first,
+ * then all of the `mutate` tasks; so the layout only needs to be
+ * calculated once per frame.
+ * 
+ * Any `mutate` tasks queued by a `measure` task will run in the same frame.
+ * Any tasks queued by a `mutate` task (or `measure` tasks queued by
+ * another `measure` task) will run in the next frame.
+ * 
+ * @module @lumjs/web-core/scheduler
+ * 
+ * @example
+ * 
+ *   const {measure, mutate} = require('@lumjs/web-core/scheduler');
+ *   measure(() =>
+ *   {
+ *     const height = panel.scrollHeight;
+ *     mutate(() => panel.style.height = height + 'px');
+ *   });
+ * 
+ */
+"use strict";
+
+const core = require('@lumjs/core');
+const {F} = core.types;
+
+// Private: the queued tasks.
+const queues = {measure: [], mutate: []};
+
+// Private: is a flush scheduled?
+let scheduled = false;
+
+// Private: request a frame (with a fallback for non-browser environments).
+function nextFrame(callback)
+{
+  if (typeof globalThis.requestAnimationFrame === F)
+  {
+    globalThis.requestAnimationFrame(callback);
+  }
+  else
+  {
+    setTimeout(callback, 16);
+  }
+}
+
+// Private: add a task to a queue.
+function enqueue(queue, fn)
+{
+  if (typeof fn !== F)
+  {
+    console.error({fn});
+    throw new TypeError("Task must be a function");
+  }
+
+  return new Promise((resolve, reject) =>
+  {
+    queues[queue].push({fn, resolve, reject});
+    if (!scheduled)
+    {
+      scheduled = true;
+      nextFrame(flush);
+    }
+  });
+}
+
+/**
+ * Queue a task that reads from the DOM.
+ * 
+ * @param {function} fn - The task; will be called with no arguments.
+ * @returns {Promise} Resolves to the return value of `fn`,
+ * or rejects with any error it throws.
+ * @alias module:@lumjs/web-core/scheduler.measure
+ */
+function measure(fn)
+{
+  return enqueue('measure', fn);
+}
+
+/**
+ * Queue a task that writes to the DOM.
+ * 
+ * @param {function} fn - The task; will be called with no arguments.
+ * @returns {Promise} Resolves to the return value of `fn`,
+ * or rejects with any error it throws.
+ * @alias module:@lumjs/web-core/scheduler.mutate
+ */
+function mutate(fn)
+{
+  return enqueue('mutate', fn);
+}
+
+// Private: run a list of tasks.
+function runTasks(tasks)
+{
+  for (const task of tasks)
+  {
+    try
+    {
+      task.resolve(task.fn());
+    }
+    catch (err)
+    {
+      task.reject(err);
+    }
+  }
+}
+
+/**
+ * Run all of the queued tasks right now.
+ * 
+ * This is called automatically on each animation frame with tasks queued,
+ * but may be called manually if the changes are needed immediately.
+ * 
+ * @returns {void}
+ * @alias module:@lumjs/web-core/scheduler.flush
+ */
+function flush()
+{
+  scheduled = true; // Tasks queued while flushing wait for the check below.
+
+  runTasks(queues.measure.splice(0));
+  runTasks(queues.mutate.splice(0));
+
+  scheduled = isPending();
+  if (scheduled)
+  { // Tasks queued by the mutate tasks.
+    nextFrame(flush);
+  }
+}
+
+/**
+ * Are there any tasks waiting to run?
+ * 
+ * @returns {boolean}
+ * @alias module:@lumjs/web-core/scheduler.isPending
+ */
+function isPending()
+{
+  return (queues.measure.length > 0 || queues.mutate.length > 0);
+}
+
+module.exports =
+{
+  measure, mutate, flush, isPending,
+}
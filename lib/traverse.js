@@ -0,0 +1,367 @@
+/**
+ * DOM traversal helpers.
+ * 
+ * Where `query.find()` searches _down_ from a node, these functions
+ * search _up_ (ancestors) and _across_ (siblings) from an element.
+ * 
+ * Most of the functions accept the same kind of _test_ arguments as
+ * `find()` does, in any order after the element:
+ * 
+ * - Any `string` arguments are query selectors; they will be joined into
+ *   a single selector using commas, and tested with `query.matches()`
+ *   (so custom pseudo-classes are supported). If any are passed, an
+ *   element must match at least one of them.
+ * - Any `function` arguments are filter tests; each will be passed an
+ *   element and must return a `boolean`. If any are passed, an element
+ *   must pass _all_ of them.
+ * - A `FindResult` object instance to wrap the returned results in.
+ * - A plain `object` may be passed as options (only used by a few of
+ *   the functions, see the individual function docs for details).
+ * 
+ * If no selectors or filters are passed, every element is included.
+ * 
+ * @module @lumjs/web-core/traverse
+ */
+"use strict";
+
+const core = require('@lumjs/core');
+const {S,F,isObj} = core.types;
+
+const {FindResult,matches} = require('./query');
+
+/**
+ * Parse the _test_ arguments for the traversal functions.
+ * @private
+ * @param {Element} elem - The element the functions were called with.
+ * @param {Array} args - The arguments after the element.
+ * @param {boolean} multiple - Will the function return multiple elements?
+ * @returns {object} Compiled options, including a `test()` function,
+ * and a `result()` function to build the return value.
+ */
+function parseArgs(elem, args, multiple)
+{
+  const opts =
+  {
+    node: elem,
+    multiple,
+    selectors: [],
+    filters: [],
+    nestOpts: null,
+    xpath: null,
+  }
+
+  let resultObj = null, options = {};
+
+  for (const arg of args)
+  {
+    if (typeof arg === S)
+    {
+      opts.selectors.push(arg);
+    }
+    else if (typeof arg === F)
+    {
+      opts.filters.push(arg);
+    }
+    else if (arg instanceof FindResult)
+    {
+      resultObj = arg;
+    }
+    else if (isObj(arg))
+    {
+      options = arg;
+    }
+    else if (arg !== undefined)
+    {
+      console.error("unsupported argument value", {arg, args, elem});
+    }
+  }
+
+  const query = opts.selectors.join(',');
+
+  const test = (el) => ((query === '' || matches(el, query))
+    && opts.filters.every(filter => filter(el)));
+
+  const result = (found) => (resultObj
+    ? resultObj.found(found, opts)
+    : found);
+
+  return {options, test, result};
+}
+
+// Private: make sure we have an element.
+function needElem(elem)
+{
+  if (!(elem instanceof Element))
+  {
+    console.error({elem});
+    throw new TypeError("Invalid element");
+  }
+}
+
+// Private: collect elements using a 'next element' function.
+function collect(elem, next, args, until)
+{
+  needElem(elem);
+  const {test, result} = parseArgs(elem, args, true);
+  const stop = (until === undefined) ? null : untilTest(until);
+  const found = [];
+
+  for (let el = next(elem); el; el = next(el))
+  {
+    if (stop && stop(el)) break;
+    if (test(el)) found.push(el);
+  }
+
+  return result(found);
+}
+
+// Private: build a test function for an `until` argument.
+function untilTest(until)
+{
+  if (typeof until === S)
+  {
+    return el => matches(el, until);
+  }
+  else if (typeof until === F)
+  {
+    return until;
+  }
+  else if (until instanceof Element)
+  {
+    return el => (el === until);
+  }
+  else if (until === null)
+  {
+    return null;
+  }
+  else
+  {
+    console.error({until});
+    throw new TypeError("Invalid until argument");
+  }
+}
+
+const nextEl = el => el.nextElementSibling;
+const prevEl = el => el.previousElementSibling;
+
+/**
+ * Get the ancestors of an element.
+ * 
+ * @param {Element} elem - The element to start from.
+ * @param {...any} args - Test arguments (see the module docs).
+ * 
+ * Supports one option:
+ * 
+ * @param {(Element|string|function)} [args.options.stopAt] Stop here.
+ * 
+ * If specified, the ancestor matching this (an `Element`, selector
+ * `string`, or filter `function`) will be the last one included
+ * (assuming it passes the tests). Otherwise it will continue until
+ * the root element (the `<html>` element in most documents).
+ * 
+ * @returns {(Array|module:@lumjs/web-core/query.FindResult)}
+ * The matching ancestors, starting with the nearest (the parent).
+ * 
+ * @throws {TypeError} If `elem` is not an Element.
+ * @alias module:@lumjs/web-core/traverse.parents
+ */
+function parents(elem, ...args)
+{
+  needElem(elem);
+  const {options, test, result} = parseArgs(elem, args, true);
+  const stop = untilTest(options.stopAt ?? null);
+  const found = [];
+
+  for (let el = elem.parentElement; el; el = el.parentElement)
+  {
+    if (test(el)) found.push(el);
+    if (stop && stop(el)) break;
+  }
+
+  return result(found);
+}
+
+/**
+ * Get the closest element (the element itself, or an ancestor)
+ * that passes the tests.
+ * 
+ * @param {Element} elem - The element to start from.
+ * @param {...any} args - Test arguments (see the module docs).
+ * 
+ * Supports the same `stopAt` option as `parents()`.
+ * 
+ * @returns {(?Element|module:@lumjs/web-core/query.FindResult)}
+ * The closest matching element, or `null` if none passed.
+ * 
+ * @throws {TypeError} If `elem` is not an Element.
+ * @alias module:@lumjs/web-core/traverse.closest
+ */
+function closest(elem, ...args)
+{
+  needElem(elem);
+  const {options, test, result} = parseArgs(elem, args, false);
+  const stop = untilTest(options.stopAt ?? null);
+
+  for (let el = elem; el; el = el.parentElement)
+  {
+    if (test(el)) return result(el);
+    if (stop && stop(el)) break;
+  }
+
+  return result(null);
+}
+
+/**
+ * Get the siblings of an element (not including the element itself).
+ * 
+ * @param {Element} elem - The element to start from.
+ * @param {...any} args - Test arguments (see the module docs).
+ * 
+ * @returns {(Array|module:@lumjs/web-core/query.FindResult)}
+ * The matching siblings (in document order).
+ * 
+ * @throws {TypeError} If `elem` is not an Element.
+ * @alias module:@lumjs/web-core/traverse.siblings
+ */
+function siblings(elem, ...args)
+{
+  needElem(elem);
+  const {test, result} = parseArgs(elem, args, true);
+  const parent = elem.parentNode;
+  const found = [];
+
+  if (parent)
+  {
+    for (const el of parent.children)
+    {
+      if (el !== elem && test(el)) found.push(el);
+    }
+  }
+
+  return result(found);
+}
+
+/**
+ * Get all of the following siblings of an element.
+ * 
+ * @param {Element} elem - The element to start from.
+ * @param {...any} args - Test arguments (see the module docs).
+ * 
+ * @returns {(Array|module:@lumjs/web-core/query.FindResult)}
+ * The matching siblings (in document order).
+ * 
+ * @throws {TypeError} If `elem` is not an Element.
+ * @alias module:@lumjs/web-core/traverse.nextAll
+ */
+function nextAll(elem, ...args)
+{
+  return collect(elem, nextEl, args);
+}
+
+/**
+ * Get all of the preceding siblings of an element.
+ * 
+ * @param {Element} elem - The element to start from.
+ * @param {...any} args - Test arguments (see the module docs).
+ * 
+ * @returns {(Array|module:@lumjs/web-core/query.FindResult)}
+ * The matching siblings, starting with the nearest
+ * (so in _reverse_ document order).
+ * 
+ * @throws {TypeError} If `elem` is not an Element.
+ * @alias module:@lumjs/web-core/traverse.prevAll
+ */
+function prevAll(elem, ...args)
+{
+  return collect(elem, prevEl, args);
+}
+
+/**
+ * Get the following siblings of an element up to (but not including)
+ * a sibling that matches a test.
+ * 
+ * @param {Element} elem - The element to start from.
+ * 
+ * @param {?(string|function|Element)} until - When to stop.
+ * 
+ * A `string` is a selector, a `function` is a test, and an `Element`
+ * is a specific sibling to stop at. If `null`, this is the same as
+ * using `nextAll()`.
+ * 
+ * @param {...any} args - Test arguments (see the module docs).
+ * 
+ * @returns {(Array|module:@lumjs/web-core/query.FindResult)}
+ * The matching siblings (in document order).
+ * 
+ * @throws {TypeError} If `elem` is not an Element,
+ * or `until` is not a valid value.
+ * @alias module:@lumjs/web-core/traverse.nextUntil
+ */
+function nextUntil(elem, until, ...args)
+{
+  return collect(elem, nextEl, args, until);
+}
+
+/**
+ * Get the preceding siblings of an element up to (but not including)
+ * a sibling that matches a test.
+ * 
+ * @param {Element} elem - The element to start from.
+ * @param {?(string|function|Element)} until - See `nextUntil()`.
+ * @param {...any} args - Test arguments (see the module docs).
+ * 
+ * @returns {(Array|module:@lumjs/web-core/query.FindResult)}
+ * The matching siblings, starting with the nearest
+ * (so in _reverse_ document order).
+ * 
+ * @throws {TypeError} If `elem` is not an Element,
+ * or `until` is not a valid value.
+ * @alias module:@lumjs/web-core/traverse.prevUntil
+ */
+function prevUntil(elem, until, ...args)
+{
+  return collect(elem, prevEl, args, until);
+}
+
+/**
+ * Get the position of an element amongst its siblings.
+ * 
+ * @param {Element} elem - The element to get the position of.
+ * @param {...any} args - Test arguments (see the module docs).
+ * 
+ * If any tests are specified, only the siblings that pass them
+ * will be counted.
+ * 
+ * @returns {number} The (zero-based) position of the element.
+ * 
+ * Will be `-1` if the element has no parent, or if the element itself
+ * does not pass the tests.
+ * 
+ * @throws {TypeError} If `elem` is not an Element.
+ * @alias module:@lumjs/web-core/traverse.index
+ */
+function index(elem, ...args)
+{
+  needElem(elem);
+  const {test} = parseArgs(elem, args, false);
+  const parent = elem.parentNode;
+
+  if (!parent || !test(elem))
+  {
+    return -1;
+  }
+
+  let pos = 0;
+  for (const el of parent.children)
+  {
+    if (el === elem) return pos;
+    if (test(el)) pos++;
+  }
+
+  return -1;
+}
+
+module.exports =
+{
+  parents, closest, siblings, nextAll, prevAll, nextUntil, prevUntil, index,
+}
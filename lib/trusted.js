@@ -0,0 +1,259 @@
+/**
+ * Trusted Types integration.
+ * 
+ * When a Content Security Policy with `require-trusted-types-for 'script'`
+ * is in effect, browsers will throw errors if a plain string is passed to
+ * any of the DOM methods that parse HTML (like `insertAdjacentHTML()`,
+ * `innerHTML` or `DOMParser.parseFromString()`); they require a
+ * `TrustedHTML` value created by a Trusted Types policy instead.
+ * 
+ * All of the functions in this library that parse HTML strings pass
+ * them through `toHTML()`, which uses the policy registered with
+ * `setPolicy()` (or `createPolicy()`). They will also accept
+ * `TrustedHTML` values anywhere an HTML string is accepted.
+ * 
+ * If no policy has been registered, strings are passed through as is,
+ * so everything works the same as before in browsers that don't support
+ * (or don't enforce) Trusted Types.
+ * 
+ * @module @lumjs/web-core/trusted
+ * 
+ * @example
+ * 
+ *   // Somewhere in the app setup, before adding any HTML content.
+ *   const trusted = require('@lumjs/web-core/trusted');
+ *   trusted.createPolicy('my-app'); // The name must be allowed by the CSP.
+ * 
+ */
+"use strict";
+
+const core = require('@lumjs/core');
+const {F,isObj,lazy} = core.types;
+
+// Sub-modules, lazy-loaded to avoid circular requires.
+const mods = {};
+lazy(mods, 'sanitize', () => require('./sanitize'));
+
+// The registered policy.
+let policy = null;
+
+// Private: the `sanitize` option of policies made by createPolicy().
+const sanitizers = new WeakMap();
+
+
+/**
+ * The default name used by `createPolicy()`.
+ * @alias module:@lumjs/web-core/trusted.DEFAULT_NAME
+ * @type {string}
+ */
+const DEFAULT_NAME = 'lumjs-web-core';
+
+/**
+ * Does the browser support Trusted Types?
+ * 
+ * @returns {boolean}
+ * @alias module:@lumjs/web-core/trusted.isSupported
+ */
+function isSupported()
+{
+  return (isObj(globalThis.trustedTypes)
+    && typeof globalThis.trustedTypes.createPolicy === F);
+}
+
+/**
+ * Is a value a `TrustedHTML` object?
+ * 
+ * @param {*} value - The value to test.
+ * @returns {boolean} Always `false` if Trusted Types are not supported.
+ * @alias module:@lumjs/web-core/trusted.isTrustedHTML
+ */
+function isTrustedHTML(value)
+{
+  return (isSupported() && globalThis.trustedTypes.isHTML(value));
+}
+
+/**
+ * Register a policy for the library to use.
+ * 
+ * @param {?object} newPolicy - The policy to use.
+ * 
+ * Generally a `TrustedTypePolicy` created by `trustedTypes.createPolicy()`,
+ * but any object with a `createHTML()` method may be used.
+ * 
+ * If `null`, the current policy will be removed, and strings will be
+ * passed through as is again.
+ * 
+ * @returns {?object} The previously registered policy.
+ * 
+ * @throws {TypeError} If `newPolicy` is not valid.
+ * @alias module:@lumjs/web-core/trusted.setPolicy
+ */
+function setPolicy(newPolicy)
+{
+  if (newPolicy !== null && typeof newPolicy?.createHTML !== F)
+  {
+    console.error({newPolicy});
+    throw new TypeError("Policy must have a createHTML() method");
+  }
+
+  const oldPolicy = policy;
+  policy = newPolicy;
+  return oldPolicy;
+}
+
+/**
+ * Get the registered policy.
+ * 
+ * @returns {?object} The policy, or `null` if none was registered.
+ * @alias module:@lumjs/web-core/trusted.getPolicy
+ */
+function getPolicy()
+{
+  return policy;
+}
+
+/**
+ * Get the sanitizer policy used by the registered policy.
+ * 
+ * Content that the registered policy passes through as is (like the
+ * chunks parsed by `parser.HTMLStreamParser`) may be sanitized with
+ * this once it has been parsed.
+ * 
+ * @returns {?module:@lumjs/web-core/sanitize~Policy} The sanitizer policy,
+ * or `null` if no policy is registered, or the registered policy was not
+ * created by `createPolicy()` with sanitizing enabled.
+ * 
+ * @alias module:@lumjs/web-core/trusted.getSanitizer
+ */
+function getSanitizer()
+{
+  const option = (policy === null ? undefined : sanitizers.get(policy));
+  return (option === undefined ? null : mods.sanitize.getPolicy(option));
+}
+
+/**
+ * Create a policy and register it for the library to use.
+ * 
+ * @param {string} [name] The policy name.
+ * 
+ * The default is the value of `DEFAULT_NAME`.
+ * The name must be allowed by the `trusted-types` CSP directive.
+ * 
+ * @param {object} [opts] Options
+ * 
+ * @param {(boolean|object)} [opts.sanitize=true] Sanitize the HTML?
+ * 
+ * By default the policy will sanitize any HTML strings using the
+ * default policy of the `sanitize` module. This may be set to a
+ * custom sanitizer policy object instead, or `false` to pass the
+ * strings through as is (only do that if the strings passed to the
+ * library are always from trusted sources!)
+ * 
+ * @param {function} [opts.createHTML] A custom `createHTML()` rule.
+ * 
+ * If specified, the `sanitize` option is ignored, and this function
+ * must return the HTML string to use.
+ * 
+ * @param {boolean} [opts.register=true] Register the policy?
+ * 
+ * @returns {object} The new policy.
+ * 
+ * If Trusted Types are not supported, this will be a plain object with
+ * the same `createHTML()` method (returning strings), so the rules are
+ * applied the same way in every browser.
+ * 
+ * @alias module:@lumjs/web-core/trusted.createPolicy
+ */
+function createPolicy(name=DEFAULT_NAME, opts={})
+{
+  const rules = {createHTML: opts.createHTML ?? sanitizeRule(opts.sanitize)};
+
+  const newPolicy = isSupported()
+    ? globalThis.trustedTypes.createPolicy(name, rules)
+    : Object.assign({name}, rules);
+
+  if (opts.createHTML === undefined && opts.sanitize !== false)
+  {
+    sanitizers.set(newPolicy, opts.sanitize ?? true);
+  }
+
+  if (opts.register ?? true)
+  {
+    setPolicy(newPolicy);
+  }
+
+  return newPolicy;
+}
+
+// Private: build a createHTML() rule using the sanitizer.
+function sanitizeRule(sanitize=true)
+{
+  if (sanitize === false)
+  {
+    return html => html;
+  }
+
+  // The sanitizer parses the HTML, which calls toHTML() and so this rule
+  // again; that nested call must simply pass the string through.
+  let busy = false;
+
+  return function(html, hint)
+  {
+    if (busy || hint !== undefined)
+    { // Not going to sanitize XML or content.html templates either.
+      return html;
+    }
+    busy = true;
+    try
+    {
+      return mods.sanitize.sanitizeHTML(html, sanitize);
+    }
+    finally
+    {
+      busy = false;
+    }
+  }
+}
+
+/**
+ * Prepare an HTML value for passing to a DOM method that parses HTML.
+ * 
+ * @param {(string|TrustedHTML)} html - The HTML value.
+ * 
+ * @param {string} [hint] A hint about where the HTML came from.
+ * 
+ * If specified, it will be passed to the `createHTML()` method as an
+ * extra argument. The library uses the following hints:
+ * 
+ * - The MIME type for `DOMParser` when parsing XML (in `parser.parseXML()`).
+ * - `"html-template"` for the markup built by the `content.html` tag.
+ * - `"html-stream"` for chunks of HTML parsed by `parser.HTMLStreamParser`.
+ * 
+ * The rule used by `createPolicy()` will not sanitize anything with a hint;
+ * `parser.HTMLStreamParser` sanitizes the parsed nodes instead, using the
+ * rules returned by `getSanitizer()`.
+ * 
+ * @returns {(string|TrustedHTML)} If `html` is already a `TrustedHTML`
+ * object, or no policy is registered, it will be returned as is.
+ * Otherwise it will be passed to the `createHTML()` method of the
+ * registered policy, and the result returned.
+ * 
+ * @alias module:@lumjs/web-core/trusted.toHTML
+ */
+function toHTML(html, hint)
+{
+  if (policy === null || isTrustedHTML(html))
+  {
+    return html;
+  }
+
+  return (hint === undefined
+    ? policy.createHTML(String(html))
+    : policy.createHTML(String(html), hint));
+}
+
+module.exports =
+{
+  DEFAULT_NAME, isSupported, isTrustedHTML,
+  setPolicy, getPolicy, getSanitizer, createPolicy, toHTML,
+}
@@ -6,6 +6,7 @@
 
 const core = require('@lumjs/core');
 const {N,isObj} = core.types;
+const {measure,mutate} = require('./scheduler');
 
 /**
  * Get the opacity of an element.
@@ -84,6 +85,65 @@ function opacityOf(elem, opts={})
   return (asPercent ? (opVal * 100) : opVal);
 }
 
+/**
+ * Is an element visible?
+ * 
+ * Uses `opacityOf()` to check the element itself, and (by default)
+ * each of its ancestors, as an element inside a hidden container
+ * is hidden as well, even if its own computed style says otherwise.
+ * 
+ * This does _not_ check if the element is within the viewport.
+ * 
+ * @param {Element} elem - Element to check.
+ * @param {object} [opts] Options
+ * 
+ * @param {boolean} [opts.ancestors=true] Check ancestors?
+ * 
+ * If `true`, every ancestor (including shadow hosts) will be checked
+ * using `opacityOf()` with the `display` and `hidden` options.
+ * As `visibility` is an inherited CSS property, it is only checked on
+ * the element itself.
+ * 
+ * @param {number} [opts.minOpacity=0] Minimum opacity (`0` to `1`).
+ * 
+ * The element (and its ancestors) must have an opacity _greater than_
+ * this value to be considered visible.
+ * 
+ * @returns {boolean} Will always be `false` if the element is not
+ * connected to a document.
+ * 
+ * @alias module:@lumjs/web-core/ui.isVisible
+ */
+function isVisible(elem, opts={})
+{
+  if (!(elem instanceof Element) || !elem.isConnected)
+  {
+    return false;
+  }
+
+  const minOp = opts.minOpacity ?? 0;
+  
+  if (opacityOf(elem, {allProps: true, asPercent: false}) <= minOp)
+  {
+    return false;
+  }
+
+  if (opts.ancestors ?? true)
+  {
+    const aOpts = {display: true, hidden: true, asPercent: false};
+    let el = elem;
+    while ((el = el.parentElement ?? el.getRootNode().host ?? null))
+    {
+      if (opacityOf(el, aOpts) <= minOp)
+      {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
 /**
  * Is a value a `TouchEvent` instance?
  * 
@@ -216,6 +276,12 @@ function isPos(v)
  * @throws {TypeError} If `pos` is not a valid value
  */
 function reposition(elem, pos, opts={})
+{
+  return movePos(elem, repositionTarget(elem, pos, opts), opts);
+}
+
+// Private: the position reposition() will move an element to.
+function repositionTarget(elem, pos, opts)
 {
   if (opts.get || (pos instanceof Event || isTouch(pos)))
   { // Get the position info from the event
@@ -227,6 +293,12 @@ function reposition(elem, pos, opts={})
     throw new TypeError("Invalid pos argument");
   }
 
+  return pos;
+}
+
+// Private: the style changes made by reposition().
+function movePos(elem, pos, opts)
+{
   if (opts.reset)
   { // Reset the CSS styles back to their default state
     elem.style = null;
@@ -247,10 +319,51 @@ function reposition(elem, pos, opts={})
   return elem;
 }
 
+/**
+ * Scheduled versions of the `ui` functions.
+ * 
+ * These use the `scheduler` module to run the functions on the next
+ * animation frame (reading the layout before any DOM changes are made),
+ * which avoids _layout thrashing_ when called repeatedly (for example
+ * from `pointermove` event handlers while dragging an element).
+ * 
+ * Each function accepts the same arguments as the regular function,
+ * and returns a `Promise` that resolves to the regular return value.
+ * 
+ * @alias module:@lumjs/web-core/ui.scheduled
+ * @type {object}
+ * 
+ * @prop {function} opacityOf - Uses `scheduler.measure()`.
+ * @prop {function} isVisible - Uses `scheduler.measure()`.
+ * @prop {function} getTargetPos - Uses `scheduler.measure()`.
+ * @prop {function} reposition - Uses `scheduler.measure()` to get
+ * the target position, then `scheduler.mutate()` (in the same frame)
+ * to move the element.
+ * 
+ * @example
+ * 
+ *   onEvent(handle, 'pointermove', ev => ui.scheduled.reposition(dialog, ev));
+ * 
+ */
+const scheduled =
+{
+  opacityOf: (...args) => measure(() => opacityOf(...args)),
+  isVisible: (...args) => measure(() => isVisible(...args)),
+  getTargetPos: (...args) => measure(() => getTargetPos(...args)),
+  reposition(elem, pos, opts={})
+  {
+    return measure(() =>
+    {
+      const target = repositionTarget(elem, pos, opts);
+      return mutate(() => movePos(elem, target, opts));
+    });
+  },
+}
+
 module.exports =
 {
-  opacityOf, getTargetPos, reposition, 
-  isPos, isTouchEvent, isTouch, 
+  opacityOf, isVisible, getTargetPos, reposition, 
+  isPos, isTouchEvent, isTouch, scheduled,
 }
 
 /**
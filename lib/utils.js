@@ -5,7 +5,7 @@
 "use strict";
 
 const core = require('@lumjs/core');
-const {F,N,isObj,isArrayOf} = core.types;
+const {F,N,O,isObj,isArrayOf} = core.types;
 
 /**
  * Is the argument a DOM container?
@@ -30,6 +30,9 @@ exports.isContainer = isContainer;
  * At this time only `Element`, `Document`, and `DocumentFragment`
  * have the `querySelector()` and `querySelectorAll()` methods.
  * 
+ * As `ShadowRoot` is a sub-class of `DocumentFragment`, shadow roots
+ * are also queryable, and may be used as the root node for queries.
+ * 
  * @param {*} subject - Subject we are testing.
  * @returns {boolean}
  * @alias module:@lumjs/web-core/utils.isQueryable
@@ -149,7 +152,8 @@ exports.whenWindowReady = whenWindowReady;
 /**
  * Get a flat list of nested elements/nodes.
  * 
- * @param {(Element|Document)} parent - The top-level parent element.
+ * @param {(Element|Document|DocumentFragment)} parent - The top-level 
+ * parent node.
  * 
  * @param {object} [opts] Options affecting behaviour.
  * @param {boolean} [opts.allNodes=false] Get `Node` rather than `Element`?
@@ -161,6 +165,21 @@ exports.whenWindowReady = whenWindowReady;
  * If you set this to `0` only the immediate children of the `parent` will
  * be returned. Which would be kinda redundant.
  * 
+ * @param {boolean} [opts.deep=false] Descend into shadow roots?
+ * 
+ * If `true`, the children of any _open_ `shadowRoot` will be included
+ * as if they were children of the shadow host (after its own children).
+ * Closed shadow roots cannot be accessed and are always skipped.
+ * 
+ * @param {boolean} [opts.slotted=false] Follow slot assignments?
+ * 
+ * Only used if `opts.deep` is `true`. If this is also `true`, then
+ * instead of the regular DOM tree, the _flattened_ tree is used:
+ * the children of a shadow host are only included where they are
+ * assigned to a `<slot>` in its shadow root (and will be listed as
+ * children of the slot), and slots without any assigned nodes will
+ * use their own children (the fallback content).
+ * 
  * @param {Array} [retList] The list that will be populated.
  * 
  * This is likley not something you'll ever need to set yourself.
@@ -172,26 +191,143 @@ exports.whenWindowReady = whenWindowReady;
  */
 function getNested(parent, opts={}, retList=[])
 {
+  if (!isObj(opts)) opts = {};
+
   const allNodes = opts.allNodes ?? false;
-  const depth = typeof (opts.depth === N) ? opts.depth : 99;
+  const depth = (typeof opts.depth === N) ? opts.depth : 99;
+  const deep = opts.deep ?? false;
+  const slotted = deep && (opts.slotted ?? false);
+  const shadow = deep ? getShadowRoot(parent) : null;
+
+  let children;
+
+  if (slotted && shadow)
+  { // Light DOM children will be found via the slots.
+    children = [];
+  }
+  else if (slotted && isSlot(parent) 
+    && parent.assignedNodes({flatten: true}).length > 0)
+  { // Use the nodes assigned to the slot.
+    children = allNodes 
+      ? parent.assignedNodes({flatten: true})
+      : parent.assignedElements({flatten: true});
+  }
+  else
+  { // Use the regular children.
+    children = allNodes ? parent.childNodes : parent.children;
+  }
 
-  const children = allNodes ? parent.childNodes : parent.children;
   retList.push(...children); // Add the direct children now.
 
   if (depth > 0)
   { // We're going to recurse further.
-    const nestOpts = {allNodes, depth: depth-1};
+    const nestOpts = {allNodes, depth: depth-1, deep, slotted};
     for (const child of children)
     {
       getNested(child, nestOpts, retList);
     }
   }
 
+  if (shadow)
+  { // Treat the shadow root's children as children of the host.
+    getNested(shadow, opts, retList);
+  }
+
   return retList;
 }
 
 exports.getNested = getNested;
 
+/**
+ * Get the _open_ shadow root of a node.
+ * 
+ * @param {*} node - Node to get the shadow root of.
+ * @returns {?ShadowRoot} Will be `null` if `node` is not an `Element`,
+ * it is not a shadow host, or its shadow root is _closed_.
+ * @alias module:@lumjs/web-core/utils.getShadowRoot
+ */
+function getShadowRoot(node)
+{
+  return (node instanceof Element) ? (node.shadowRoot ?? null) : null;
+}
+
+exports.getShadowRoot = getShadowRoot;
+
+/**
+ * Is the argument a `<slot>` element?
+ * 
+ * If the browser doesn't support `HTMLSlotElement`, 
+ * this will always return false.
+ * 
+ * @param {*} subject - Subject we are testing.
+ * @returns {boolean}
+ * @alias module:@lumjs/web-core/utils.isSlot
+ */
+const isSlot = (subject) => 
+  (typeof HTMLSlotElement === F && subject instanceof HTMLSlotElement);
+
+exports.isSlot = isSlot;
+
+/**
+ * Escape a string for use as an identifier in a CSS selector.
+ * 
+ * Uses the native `CSS.escape()` if it is available, otherwise uses 
+ * an implementation of the same algorithm (from the CSSOM spec).
+ * 
+ * @param {string} value - The string to escape.
+ * @returns {string}
+ * @alias module:@lumjs/web-core/utils.cssEscape
+ */
+function cssEscape(value)
+{
+  value = String(value);
+
+  if (typeof CSS === O && typeof CSS.escape === F)
+  {
+    return CSS.escape(value);
+  }
+
+  let out = '';
+  const len = value.length;
+  const first = value.charCodeAt(0);
+
+  for (let i = 0; i < len; i++)
+  {
+    const code = value.charCodeAt(i);
+    const char = value.charAt(i);
+
+    if (code === 0)
+    { // NULL becomes the replacement character.
+      out += '\uFFFD';
+    }
+    else if ((code >= 0x1 && code <= 0x1F) || code === 0x7F
+      || (i === 0 && code >= 0x30 && code <= 0x39)
+      || (i === 1 && code >= 0x30 && code <= 0x39 && first === 0x2D))
+    { // Control characters, and leading digits become code points.
+      out += '\\' + code.toString(16) + ' ';
+    }
+    else if (i === 0 && len === 1 && code === 0x2D)
+    { // A lone hyphen.
+      out += '\\' + char;
+    }
+    else if (code >= 0x80 || code === 0x2D || code === 0x5F
+      || (code >= 0x30 && code <= 0x39)
+      || (code >= 0x41 && code <= 0x5A)
+      || (code >= 0x61 && code <= 0x7A))
+    { // Safe characters.
+      out += char;
+    }
+    else
+    { // Anything else gets a backslash.
+      out += '\\' + char;
+    }
+  }
+
+  return out;
+}
+
+exports.cssEscape = cssEscape;
+
 /**
  * A simple RegExp for valid HTML/XML element tag names.
  * @alias module:@lumjs/web-core/utils.VALID_TAG
@@ -200,6 +336,246 @@ const VALID_TAG = /^[\w\-\:\.]+$/;
 
 exports.VALID_TAG = VALID_TAG;
 
+/**
+ * Namespace URIs for the kinds of documents and elements we support.
+ * 
+ * @alias module:@lumjs/web-core/utils.NS
+ * @prop {string} HTML   - The (X)HTML namespace.
+ * @prop {string} SVG    - The SVG namespace.
+ * @prop {string} MATHML - The MathML namespace.
+ * @prop {string} XLINK  - The XLink namespace (for `xlink:*` attributes).
+ * @prop {string} XML    - The XML namespace (for `xml:*` attributes).
+ * @prop {string} XMLNS  - The namespace for `xmlns` attributes.
+ */
+const NS = Object.freeze(
+{
+  HTML: 'http://www.w3.org/1999/xhtml',
+  SVG: 'http://www.w3.org/2000/svg',
+  MATHML: 'http://www.w3.org/1998/Math/MathML',
+  XLINK: 'http://www.w3.org/1999/xlink',
+  XML: 'http://www.w3.org/XML/1998/namespace',
+  XMLNS: 'http://www.w3.org/2000/xmlns/',
+});
+
+exports.NS = NS;
+
+/**
+ * Tag names that are only used by SVG elements.
+ * 
+ * Does not include tag names that are also used by HTML elements
+ * (`a`, `script`, `style`, and `title`); those will only be in the
+ * SVG namespace if explicitly requested.
+ * 
+ * @alias module:@lumjs/web-core/utils.SVG_TAGS
+ * @type {Set}
+ */
+const SVG_TAGS = new Set(
+[
+  'svg', 'animate', 'animateMotion', 'animateTransform', 'circle',
+  'clipPath', 'defs', 'desc', 'ellipse', 'feBlend', 'feColorMatrix',
+  'feComponentTransfer', 'feComposite', 'feConvolveMatrix',
+  'feDiffuseLighting', 'feDisplacementMap', 'feDistantLight',
+  'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR',
+  'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode', 'feMorphology',
+  'feOffset', 'fePointLight', 'feSpecularLighting', 'feSpotLight',
+  'feTile', 'feTurbulence', 'filter', 'foreignObject', 'g', 'image',
+  'line', 'linearGradient', 'marker', 'mask', 'metadata', 'mpath', 'path',
+  'pattern', 'polygon', 'polyline', 'radialGradient', 'rect', 'set',
+  'stop', 'switch', 'symbol', 'text', 'textPath', 'tspan', 'use', 'view',
+]);
+
+exports.SVG_TAGS = SVG_TAGS;
+
+/**
+ * Tag names that are used by MathML elements.
+ * 
+ * @alias module:@lumjs/web-core/utils.MATHML_TAGS
+ * @type {Set}
+ */
+const MATHML_TAGS = new Set(
+[
+  'math', 'annotation', 'annotation-xml', 'maction', 'menclose', 'merror',
+  'mfenced', 'mfrac', 'mi', 'mmultiscripts', 'mn', 'mo', 'mover',
+  'mpadded', 'mphantom', 'mprescripts', 'mroot', 'mrow', 'ms', 'mspace',
+  'msqrt', 'mstyle', 'msub', 'msubsup', 'msup', 'mtable', 'mtd', 'mtext',
+  'mtr', 'munder', 'munderover', 'none', 'semantics',
+]);
+
+exports.MATHML_TAGS = MATHML_TAGS;
+
+/**
+ * Get the namespace and tag name to use for creating an element.
+ * 
+ * @param {string} tag - The tag name.
+ * 
+ * May have an `svg:`, `math:`, or `html:` prefix to explicitly set
+ * the namespace (the prefix is removed from the returned tag name).
+ * 
+ * @param {?string} [ns] An explicit namespace.
+ * 
+ * May be a namespace URI, or one of `"html"`, `"svg"`, or `"math"`.
+ * If specified this overrides any prefix on the tag.
+ * 
+ * @param {?string} [context] The namespace of the content the element
+ * will be added to (see `contentNamespace()`).
+ * 
+ * @returns {object} An object with `ns` (the namespace URI) and
+ * `tag` (the tag name without any prefix) properties.
+ * 
+ * If neither `ns` nor a prefix were specified, and the `context` is
+ * SVG or MathML, that namespace will be used (except for the `svg` and
+ * `math` root elements, which always use their own namespace).
+ * Otherwise the namespace will be determined using the `SVG_TAGS` and
+ * `MATHML_TAGS` sets, defaulting to the HTML namespace for anything
+ * not found in either.
+ * 
+ * @alias module:@lumjs/web-core/utils.namespaceFor
+ */
+function namespaceFor(tag, ns=null, context=null)
+{
+  const m = tag.match(/^(html|svg|math):(.+)$/i);
+  if (m)
+  {
+    ns = ns ?? m[1];
+    tag = m[2];
+  }
+
+  if (ns !== null)
+  {
+    ns = namespaceURI(ns);
+  }
+  else if (tag === 'svg')
+  {
+    ns = NS.SVG;
+  }
+  else if (tag === 'math')
+  {
+    ns = NS.MATHML;
+  }
+  else if (context !== null && context !== NS.HTML)
+  {
+    ns = context;
+  }
+  else
+  {
+    ns = SVG_TAGS.has(tag) ? NS.SVG 
+      : (MATHML_TAGS.has(tag) ? NS.MATHML : NS.HTML);
+  }
+
+  return {ns, tag};
+}
+
+// Private: short names for namespaces.
+const NS_NAMES =
+{
+  html: NS.HTML,
+  svg: NS.SVG,
+  math: NS.MATHML,
+  mathml: NS.MATHML,
+}
+
+exports.namespaceFor = namespaceFor;
+
+/**
+ * Get a namespace URI from a short name.
+ * 
+ * @param {string} ns - One of `"html"`, `"svg"`, `"math"` or `"mathml"`
+ * (case-insensitive); or a namespace URI, which is returned as is.
+ * @returns {string}
+ * @alias module:@lumjs/web-core/utils.namespaceURI
+ */
+function namespaceURI(ns)
+{
+  return NS_NAMES[ns.toLowerCase()] ?? ns;
+}
+
+exports.namespaceURI = namespaceURI;
+
+/**
+ * Get the namespace that new content added to an element should use.
+ * 
+ * This follows the same rules as the HTML parser: the children of SVG
+ * elements are SVG, and the children of MathML elements are MathML;
+ * except for the elements that may contain HTML (like `<foreignObject>`
+ * in SVG, or `<mtext>` in MathML).
+ * 
+ * @param {?Node} node - The node the content will be added to.
+ * @returns {string} The namespace URI; will be `NS.HTML` for anything
+ * that isn't an SVG or MathML element.
+ * @alias module:@lumjs/web-core/utils.contentNamespace
+ */
+function contentNamespace(node)
+{
+  if (!(node instanceof Element))
+  {
+    return NS.HTML;
+  }
+
+  const tag = node.localName;
+  if (node.namespaceURI === NS.SVG)
+  {
+    return (tag === 'foreignObject' ? NS.HTML : NS.SVG);
+  }
+  else if (node.namespaceURI === NS.MATHML)
+  {
+    if (MATHML_HTML.has(tag))
+    {
+      return NS.HTML;
+    }
+    else if (tag === 'annotation-xml')
+    {
+      const enc = (node.getAttribute('encoding') ?? '').toLowerCase();
+      if (enc === 'text/html' || enc === 'application/xhtml+xml')
+      {
+        return NS.HTML;
+      }
+    }
+    return NS.MATHML;
+  }
+
+  return NS.HTML;
+}
+
+// Private: MathML elements that may contain HTML.
+const MATHML_HTML = new Set(['mi', 'mn', 'mo', 'ms', 'mtext']);
+
+exports.contentNamespace = contentNamespace;
+
+/**
+ * Create an element in the correct namespace.
+ * 
+ * @param {string} tag - The tag name; see `namespaceFor()` for details.
+ * @param {object} [opts] Options
+ * @param {?string} [opts.ns] An explicit namespace.
+ * @param {?Node} [opts.context] The node the element will be added to.
+ * 
+ * If specified, `contentNamespace()` will be used to get the `context`
+ * argument for `namespaceFor()`.
+ * 
+ * @param {Document} [opts.document] The document to create it with.
+ * 
+ * The default is the `ownerDocument` of `opts.context` if specified,
+ * or the global `document` otherwise.
+ * 
+ * @param {string} [opts.is] The name of a customized built-in element.
+ * 
+ * @returns {Element}
+ * @alias module:@lumjs/web-core/utils.createElement
+ */
+function createElement(tag, opts={})
+{
+  const doc = opts.document ?? opts.context?.ownerDocument ?? document;
+  const context = opts.context ? contentNamespace(opts.context) : null;
+  const {ns, tag: name} = namespaceFor(tag, opts.ns ?? null, context);
+  const cOpts = (opts.is === undefined) ? undefined : {is: opts.is};
+
+  return (ns === NS.HTML)
+    ? doc.createElementNS(ns, name.toLowerCase(), cOpts)
+    : doc.createElementNS(ns, name, cOpts);
+}
+
+exports.createElement = createElement;
+
 /**
  * Guess if a string is an HTML (or XML) snippet.
  * 
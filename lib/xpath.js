@@ -0,0 +1,447 @@
+/**
+ * XPath helpers.
+ * 
+ * The main functions are also available via the `query` module,
+ * and `XPathQuery` instances may be passed to `query.find()`.
+ * 
+ * @module @lumjs/web-core/xpath
+ */
+"use strict";
+
+const core = require('@lumjs/core');
+const {S,F,isObj} = core.types;
+
+/**
+ * A list of the `XPathResult` type constants by simple names.
+ * 
+ * These may be used as the `type` option for `xpathValue()`.
+ * 
+ * @alias module:@lumjs/web-core/xpath.TYPES
+ * @prop {string} ANY     - Any type (the default).
+ * @prop {string} NUMBER  - A number value.
+ * @prop {string} STRING  - A string value.
+ * @prop {string} BOOLEAN - A boolean value.
+ */
+const TYPES = Object.freeze(
+{
+  ANY: 'any',
+  NUMBER: 'number',
+  STRING: 'string',
+  BOOLEAN: 'boolean',
+});
+
+// Private map of type names to XPathResult constant names.
+const RESULT_TYPES =
+{
+  any: 'ANY_TYPE',
+  number: 'NUMBER_TYPE',
+  string: 'STRING_TYPE',
+  boolean: 'BOOLEAN_TYPE',
+}
+
+/**
+ * An XPath expression, with options for evaluating it.
+ * 
+ * Instances are generally created using the `xpath()` function.
+ * 
+ * @alias module:@lumjs/web-core/xpath.XPathQuery
+ * 
+ * @property {string} expression - The XPath expression.
+ * @property {object} options - Options for evaluating the expression.
+ */
+class XPathQuery
+{
+  /**
+   * Create a new XPathQuery instance.
+   * 
+   * @param {string} expression - The XPath expression.
+   * 
+   * @param {object} [options] Options.
+   * 
+   * @param {(object|function|Node)} [options.ns] Namespace resolver.
+   * 
+   * Required to use namespace prefixes in the expression.
+   * 
+   * If this is an `object` it is a map of namespace prefixes to URIs.
+   * 
+   * If this is a `function` it will be passed a prefix and must return
+   * the namespace URI (or `null` if the prefix is unknown).
+   * 
+   * If this is a `Node`, it's `lookupNamespaceURI()` method will be used.
+   * 
+   * If this is not specified, and the expression is evaluated in an
+   * XML document, the root element of that document will be used as
+   * the resolver, so any namespace prefixes declared on it may be used.
+   * 
+   * @param {boolean} [options.allNodes=false] Return all types of nodes?
+   * 
+   * By default only `Element` nodes will be returned by `nodes()`.
+   * If this is `true` then any other kinds of nodes (such as text nodes
+   * or attributes) selected by the expression will be returned as well.
+   * 
+   * @throws {TypeError} If `expression` is not a string.
+   */
+  constructor(expression, options={})
+  {
+    if (typeof expression !== S)
+    {
+      throw new TypeError("XPath expression must be a string");
+    }
+
+    this.expression = expression;
+    this.options = options;
+  }
+
+  /**
+   * Get the namespace resolver function for a context node.
+   * 
+   * @param {Node} context - The context node.
+   * @returns {?function}
+   */
+  resolver(context)
+  {
+    const ns = this.options.ns;
+
+    if (typeof ns === F)
+    {
+      return ns;
+    }
+    else if (ns instanceof Node)
+    {
+      return prefix => ns.lookupNamespaceURI(prefix);
+    }
+    else if (isObj(ns))
+    {
+      return prefix => ns[prefix] ?? null;
+    }
+
+    const doc = ownerDoc(context);
+    if (doc.documentElement && !isHTMLDoc(doc))
+    { // Use the root element of an XML document.
+      const root = doc.documentElement;
+      return prefix => root.lookupNamespaceURI(prefix);
+    }
+
+    return null;
+  }
+
+  /**
+   * Evaluate the expression.
+   * 
+   * @param {Node} [context=document] The context node.
+   * @param {number} [type=0] One of the `XPathResult` type constants.
+   * @returns {XPathResult}
+   */
+  evaluate(context=document, type=0)
+  {
+    const doc = ownerDoc(context);
+    return doc.evaluate(this.expression, context,
+      this.resolver(context), type, null);
+  }
+
+  /**
+   * Get the nodes selected by the expression.
+   * 
+   * @param {Node} [context=document] The context node.
+   * @param {boolean} [multiple=true] Return all matching nodes?
+   * 
+   * @returns {(Array|Node|null)} If `multiple` is `true`, this will be
+   * an `Array` of all matching nodes (in document order). Otherwise
+   * it will be the first matching node, or `null` if none matched.
+   */
+  nodes(context=document, multiple=true)
+  {
+    const allNodes = this.options.allNodes ?? false;
+    const wanted = node => (allNodes || node instanceof Element);
+
+    if (multiple)
+    {
+      const res = this.evaluate(context,
+        XPathResult.ORDERED_NODE_SNAPSHOT_TYPE);
+      const found = [];
+      for (let i = 0; i < res.snapshotLength; i++)
+      {
+        const node = res.snapshotItem(i);
+        if (wanted(node)) found.push(node);
+      }
+      return found;
+    }
+    else if (allNodes)
+    {
+      const res = this.evaluate(context,
+        XPathResult.FIRST_ORDERED_NODE_TYPE);
+      return res.singleNodeValue;
+    }
+    else
+    { // Have to iterate to find the first element.
+      const res = this.evaluate(context,
+        XPathResult.ORDERED_NODE_ITERATOR_TYPE);
+      let node;
+      while ((node = res.iterateNext()))
+      {
+        if (wanted(node)) return node;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Get a primitive value from the expression.
+   * 
+   * @param {Node} [context=document] The context node.
+   * @param {string} [type="any"] The type of value wanted.
+   * 
+   * See {@link module:@lumjs/web-core/xpath.TYPES} for valid values.
+   * 
+   * @returns {(string|number|boolean|Array)} The value.
+   * 
+   * If `type` is `"any"` and the expression selected nodes,
+   * this will return an `Array` of the nodes.
+   * 
+   * @throws {TypeError} If `type` is not a valid value.
+   */
+  value(context=document, type=TYPES.ANY)
+  {
+    const typeName = RESULT_TYPES[type];
+    if (typeName === undefined)
+    {
+      console.error({type, context, xpath: this});
+      throw new TypeError("Invalid XPath value type");
+    }
+
+    const res = this.evaluate(context, XPathResult[typeName]);
+
+    switch (res.resultType)
+    {
+      case XPathResult.NUMBER_TYPE:
+        return res.numberValue;
+      case XPathResult.STRING_TYPE:
+        return res.stringValue;
+      case XPathResult.BOOLEAN_TYPE:
+        return res.booleanValue;
+      default:
+      { // A node-set of some kind.
+        const found = [];
+        let node;
+        while ((node = res.iterateNext()))
+        {
+          found.push(node);
+        }
+        return found;
+      }
+    }
+  }
+
+} // XPathQuery class
+
+// Private: get the document for a node.
+const ownerDoc = (node) => (node instanceof Document
+  ? node
+  : (node.ownerDocument ?? document));
+
+// Private: is a document an HTML document?
+const isHTMLDoc = (doc) => (typeof HTMLDocument === F
+  && doc instanceof HTMLDocument
+  && doc.contentType === 'text/html');
+
+/**
+ * Create an XPath query for use with `query.find()`.
+ * 
+ * @param {string} expression - The XPath expression.
+ * @param {object} [options] Options.
+ * @returns {module:@lumjs/web-core/xpath.XPathQuery}
+ * @see {@link module:@lumjs/web-core/xpath.XPathQuery} for details.
+ * @alias module:@lumjs/web-core/xpath.xpath
+ * 
+ * @example
+ * 
+ *   const {find, xpath} = require('@lumjs/web-core/query');
+ *   const items = find(xmlDoc, xpath('//item[@id]'));
+ *   const atoms = find(xmlDoc, xpath('//a:entry',
+ *   {
+ *     ns: {a: 'http://www.w3.org/2005/Atom'},
+ *   }));
+ * 
+ */
+function xpath(expression, options)
+{
+  return new XPathQuery(expression, options);
+}
+
+/**
+ * Get a primitive value from an XPath expression.
+ * 
+ * @param {...any} args - The type determines what the argument is for.
+ * 
+ * - A `string` or `XPathQuery` is the expression to evaluate.
+ * - A `Node` will be used as the context node
+ *   (the default is the global `document`).
+ * - A plain `object` is options for the `XPathQuery` constructor
+ *   (ignored if an `XPathQuery` instance was passed), which may also
+ *   have a `type` option for `XPathQuery.value()`.
+ * 
+ * @returns {(string|number|boolean|Array)}
+ * @throws {TypeError} If no expression was passed.
+ * @see {@link module:@lumjs/web-core/xpath.XPathQuery#value}
+ * @alias module:@lumjs/web-core/xpath.xpathValue
+ * 
+ * @example
+ * 
+ *   const count = xpathValue(xmlDoc, 'count(//item)', {type: 'number'});
+ * 
+ */
+function xpathValue(...args)
+{
+  let expr = null, context = document, opts = {};
+
+  for (const arg of args)
+  {
+    if (typeof arg === S || arg instanceof XPathQuery)
+    {
+      expr = arg;
+    }
+    else if (arg instanceof Node)
+    {
+      context = arg;
+    }
+    else if (isObj(arg))
+    {
+      opts = arg;
+    }
+  }
+
+  if (expr === null)
+  {
+    console.error({args});
+    throw new TypeError("No XPath expression specified");
+  }
+  else if (typeof expr === S)
+  {
+    expr = new XPathQuery(expr, opts);
+  }
+
+  return expr.value(context, opts.type);
+}
+
+/**
+ * Generate an XPath expression that uniquely identifies an element.
+ * 
+ * If the element has an `id` that is unique in the document, 
+ * an expression using that will be returned, e.g. `//*[@id="main"]`.
+ * 
+ * Otherwise a location path from the root will be returned,
+ * using the position amongst siblings with the same name,
+ * e.g. `/html/body/div[2]/p[1]`.
+ * 
+ * Elements in a namespace (other than HTML elements in an HTML document)
+ * will use a `local-name()` test, so the expression doesn't depend on
+ * namespace prefixes or a namespace resolver.
+ * 
+ * @param {Element} elem - The element to generate an expression for.
+ * 
+ * @param {object} [opts] Options
+ * 
+ * @param {Node} [opts.root] The context node the expression will be
+ * evaluated with. If specified, the expression will be a _relative_
+ * location path starting with `.` rather than an absolute one.
+ * 
+ * @param {boolean} [opts.useId=true] Try using the `id` attribute?
+ * 
+ * @returns {string} The XPath expression.
+ * 
+ * @throws {TypeError} If `elem` is not an element within the `root`.
+ * 
+ * @alias module:@lumjs/web-core/xpath.xpathFor
+ * 
+ * @example
+ * 
+ *   const expr = xpathFor(elem);
+ *   const same = find(xpath(expr), false); // same === elem
+ * 
+ */
+function xpathFor(elem, opts={})
+{
+  const root = opts.root ?? null;
+
+  if (!(elem instanceof Element) || (root && !root.contains(elem)))
+  {
+    console.error({elem, opts});
+    throw new TypeError("elem must be an Element within the root");
+  }
+
+  if (elem === root)
+  {
+    return '.';
+  }
+
+  const doc = ownerDoc(elem);
+  const context = root ?? doc;
+
+  if (elem.id && (opts.useId ?? true))
+  {
+    const idPath = (root ? './/' : '//') + `*[@id=${xString(elem.id)}]`;
+    const found = new XPathQuery(idPath).nodes(context);
+    if (found.length === 1 && found[0] === elem)
+    {
+      return idPath;
+    }
+  }
+
+  const steps = [];
+
+  for (let node = elem; node instanceof Element && node !== root; 
+    node = node.parentNode)
+  {
+    let pos = 1;
+
+    for (let sib = node.previousElementSibling; sib; 
+      sib = sib.previousElementSibling)
+    { // Count the preceding siblings with the same name.
+      if (sib.localName === node.localName 
+        && sib.namespaceURI === node.namespaceURI)
+      {
+        pos++;
+      }
+    }
+
+    steps.unshift(nameTest(node, doc) + `[${pos}]`);
+  }
+
+  return (root ? './' : '/') + steps.join('/');
+}
+
+// Private: the node name test for an element.
+function nameTest(node, doc)
+{
+  const ns = node.namespaceURI;
+  if (ns === null || (ns === XHTML_NS && isHTMLDoc(doc)))
+  {
+    return node.localName;
+  }
+  return `*[local-name()=${xString(node.localName)}]`;
+}
+
+// Private: a quoted XPath string literal.
+function xString(value)
+{
+  if (!value.includes('"'))
+  {
+    return `"${value}"`;
+  }
+  else if (!value.includes("'"))
+  {
+    return `'${value}'`;
+  }
+  else
+  { // Has both kinds of quotes; XPath 1.0 has no escapes.
+    const parts = value.split('"').map(part => `"${part}"`);
+    return `concat(${parts.join(`, '"', `)})`;
+  }
+}
+
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+module.exports =
+{
+  TYPES, XPathQuery, xpath, xpathValue, xpathFor,
+}